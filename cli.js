@@ -1,22 +1,68 @@
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
 import AgentLoop from './src/agent/AgentLoop.js';
+import { validateSessionOptions } from './src/agent/sessionOptions.js';
+import loadPlugins from './src/executor/loadPlugins.js';
 import logger from './src/logger.js';
 
-const task = process.argv[2];
-const startUrl = process.argv[3] || 'https://www.google.com';
+const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        options: { type: 'string' },
+        'output-schema': { type: 'string' },
+    },
+});
+
+const task = positionals[0];
+const startUrl = positionals[1] || 'https://www.google.com';
 
 if (!task) {
-    console.log('Usage: node cli.js "<task description>" [start-url]');
+    console.log(
+        'Usage: node cli.js "<task description>" [start-url] [--options \'<json>\'] [--output-schema <file>]'
+    );
     console.log('');
     console.log('Examples:');
     console.log('  node cli.js "Search Google for Playwright docs"');
     console.log(
         '  node cli.js "Find the price of iPhone 16" "https://www.apple.com"'
     );
+    console.log(
+        '  node cli.js "Search for Playwright" --options \'{"headless":true,"maxSteps":10,"temperature":0}\''
+    );
+    console.log(
+        '  node cli.js "List the top 5 stories" "https://news.ycombinator.com" --output-schema stories.schema.json'
+    );
     process.exit(1);
 }
 
+function readJson(flag, read) {
+    try {
+        return JSON.parse(read());
+    } catch (error) {
+        console.error(`${flag}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+function parseOptions(raw, outputSchemaPath) {
+    const options = raw ? readJson('--options', () => raw) : {};
+    if (outputSchemaPath) {
+        options.outputSchema = readJson('--output-schema', () => readFileSync(outputSchemaPath, 'utf8'));
+    }
+
+    const errors = validateSessionOptions(options);
+    if (errors.length > 0) {
+        console.error('Invalid options:');
+        errors.forEach((error) => console.error(`  - ${error}`));
+        process.exit(1);
+    }
+    return options;
+}
+
 async function main() {
-    const agent = new AgentLoop();
+    await loadPlugins();
+    const agent = new AgentLoop(parseOptions(values.options, values['output-schema']));
+    logger.info('Session settings', agent.settings);
 
     try {
         const report = await agent.run(task, startUrl);
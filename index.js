@@ -2,6 +2,10 @@ import { createApp } from './src/api/server.js';
 import config from './src/config.js';
 import logger from './src/logger.js';
 import sessionManager from './src/agent/SessionManager.js';
+import loadPlugins from './src/executor/loadPlugins.js';
+
+// Plugin actions must be registered before the first session builds its prompt
+await loadPlugins();
 
 const { httpServer } = createApp();
 
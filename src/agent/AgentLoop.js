@@ -1,11 +1,22 @@
 import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
 import BrowserSession from '../browser/BrowserSession.js';
+import DownloadCollector from '../browser/DownloadCollector.js';
 import PageContextExtractor from '../context/PageContextExtractor.js';
+import ElementRegistry from '../context/ElementRegistry.js';
+import SubGoalTracker from './SubGoalTracker.js';
+import OutputContract from './OutputContract.js';
+import { resolveSessionOptions } from './sessionOptions.js';
+import { playbookStore as defaultPlaybookStore } from '../playbooks/PlaybookStore.js';
 import ActionExecutor from '../executor/ActionExecutor.js';
 import ActionPlanner from '../planner/ActionPlanner.js';
+import { ProviderError } from '../planner/providers/index.js';
 import config from '../config.js';
 import logger from '../logger.js';
 
+// Downloads still saving when the session ends get this long before the browser closes
+const CLOSE_DOWNLOAD_WAIT_MS = 60_000;
+
 /**
  * Orchestrates the observe → plan → act loop.
  * Extends EventEmitter so the API layer can stream progress in real-time.
@@ -19,16 +30,75 @@ import logger from '../logger.js';
  * Events emitted:
  *   'step:start'    — { step, maxSteps }
  *   'step:observe'  — { step, pageContext }
- *   'step:plan'     — { step, thinking, actions, done, result }
+ *   'step:plan'     — { step, thinking, actions, done, result, usage }
  *   'step:act'      — { step, results }
+ *   'subgoals:planned' — { subgoals }
+ *   'subgoals:update'  — { step, subgoals, changed }
+ *   'step:output'   — { step, attempt, valid, errors }
+ *   'step:verify'   — { step, attempt, supported, objection }
+ *   'step:download' — { step, artifact }
+ *   'step:dialog'   — { step, type, message, handled, ... }
  *   'task:complete'  — { report }
  *   'task:error'     — { error }
+ *
+ * Options: the per-session overrides described in sessionOptions.js
+ * (provider, model, maxSteps, headless, contextMode, budget, …), resolved
+ * against config into this.settings. Additionally:
+ *   cassette — { mode: 'off' | 'record' | 'replay', path }, defaults to config.llm.cassette
+ *   playbookStore — where site playbooks are looked up, defaults to the shared store
+ *   sessionId — names the session's downloads folder, defaults to a fresh uuid
  */
 export default class AgentLoop extends EventEmitter {
-    constructor() {
+    constructor({
+        cassette,
+        playbookStore = defaultPlaybookStore,
+        sessionId = uuidv4(),
+        ...options
+    } = {}) {
         super();
-        this.session = new BrowserSession();
-        this.planner = new ActionPlanner();
+        this.settings = resolveSessionOptions(options);
+        this.downloads = new DownloadCollector(sessionId);
+        this.playbookStore = playbookStore;
+        this.appliedPlaybooks = new Map();
+        this.session = new BrowserSession({
+            headless: this.settings.headless,
+            viewport: this.settings.viewport,
+            timeout: this.settings.timeoutMs,
+            dialogPolicy: this.settings.dialogPolicy,
+        });
+        this.session.on('page:active', (page) => this.rebind(page));
+        this.session.on('dialog', (record) => {
+            this.emit('step:dialog', { step: this.stepCount, ...record });
+        });
+        this.session.on('download', async (download) => {
+            const step = this.stepCount;
+            const artifact = await this.downloads.capture(download);
+            const { path: _path, ...saved } = artifact;
+            this.emit('step:download', { step, artifact: saved });
+        });
+        this.planner = new ActionPlanner({
+            provider: this.settings.provider,
+            model: this.settings.model,
+            temperature: this.settings.temperature,
+            maxOutputTokens: this.settings.maxOutputTokens,
+            hiddenActions: this.settings.evaluatePolicy.enabled ? [] : ['evaluate'],
+            cassette,
+        });
+        this.contextMode = this.settings.contextMode;
+        this.budget = { maxTokens: this.settings.maxTokens, maxCostUsd: this.settings.maxCostUsd };
+        this.decompose = this.settings.decompose;
+        this.subgoals = null;
+        this.verify = this.settings.verify;
+        this.maxVerificationRejections = config.agent.maxVerificationRejections;
+        this.verifications = [];
+        this.pendingFeedback = null;
+        this.outputContract = this.settings.outputSchema
+            ? new OutputContract(this.settings.outputSchema)
+            : null;
+        this.maxOutputRejections = config.agent.maxOutputRejections;
+        this.outputChecks = [];
+        this.pendingOutputErrors = null;
+        this.elements = new ElementRegistry();
         this.executor = null;
         this.contextExtractor = null;
         this.stepCount = 0;
@@ -45,17 +115,38 @@ export default class AgentLoop extends EventEmitter {
 
         try {
             const page = await this.session.launch();
-            this.executor = new ActionExecutor(page);
-            this.contextExtractor = new PageContextExtractor(page);
-            this.planner.setTask(taskDescription);
+            this.executor = new ActionExecutor(page, {
+                elements: this.elements,
+                tabs: this.session,
+                downloads: this.downloads,
+                evaluatePolicy: this.settings.evaluatePolicy,
+            });
+            this.contextExtractor = new PageContextExtractor(page, {
+                mode: this.contextMode,
+                elements: this.elements,
+                tabs: this.session,
+            });
+
+            // System-scope playbooks for the start URL go into the system prompt once
+            const systemPlaybooks = (startUrl ? await this.findPlaybooks(startUrl) : [])
+                .filter((playbook) => playbook.scope === 'system');
+            this.recordPlaybooks(systemPlaybooks, 'system');
+            this.planner.setTask(taskDescription, {
+                playbooks: systemPlaybooks,
+                outputSchema: this.settings.outputSchema,
+            });
 
             if (startUrl) {
                 await page.goto(startUrl, {
                     waitUntil: 'domcontentloaded',
-                    timeout: config.browser.timeout,
+                    timeout: this.settings.timeoutMs,
                 });
             }
 
+            if (this.decompose) {
+                await this.planSubGoals(taskDescription, startUrl);
+            }
+
             const report = await this.loop();
             this.status = 'complete';
             this.emit('task:complete', { report });
@@ -66,13 +157,15 @@ export default class AgentLoop extends EventEmitter {
             this.emit('task:error', { error: classified.message, type: classified.type });
             throw error;
         } finally {
+            // Let downloads in flight finish before the browser goes away
+            await this.downloads.drain({ timeoutMs: CLOSE_DOWNLOAD_WAIT_MS });
+            await this.elements.clear();
             await this.session.close();
         }
     }
 
     async loop() {
-        const maxSteps = config.agent.maxSteps;
-        const stepDelay = config.agent.stepDelayMs;
+        const { maxSteps, stepDelayMs: stepDelay } = this.settings;
 
         while (this.stepCount < maxSteps) {
             if (this.aborted) {
@@ -88,7 +181,12 @@ export default class AgentLoop extends EventEmitter {
             let pageContext;
             try {
                 pageContext = await this.contextExtractor.extract();
-                this.emit('step:observe', { step: this.stepCount, pageContext });
+                // The base64 screenshot is for the model only — keep it out of events and session history
+                const { screenshot, ...observed } = pageContext;
+                this.emit('step:observe', {
+                    step: this.stepCount,
+                    pageContext: { ...observed, hasScreenshot: Boolean(screenshot) },
+                });
             } catch (err) {
                 logger.error('Failed to extract page context', { error: err.message });
                 // Page might have crashed or navigated unexpectedly — give it a beat
@@ -98,15 +196,27 @@ export default class AgentLoop extends EventEmitter {
 
             // --- PLAN ---
             const previousResults = this.getLastResults();
+            const playbooks = (await this.findPlaybooks(pageContext.url)).filter(
+                (playbook) => this.appliedPlaybooks.get(playbook.id)?.appliedAs !== 'system'
+            );
+            this.recordPlaybooks(playbooks, 'page');
             let plan;
             try {
                 plan = await this.planner.planNextActions(
                     pageContext,
                     this.stepCount,
-                    previousResults
+                    previousResults,
+                    {
+                        subgoals: this.subgoals?.toJSON(),
+                        feedback: this.pendingFeedback,
+                        outputErrors: this.pendingOutputErrors,
+                        playbooks,
+                    }
                 );
                 // Successful plan resets the error counter
                 this.consecutiveErrors = 0;
+                this.pendingFeedback = null;
+                this.pendingOutputErrors = null;
             } catch (err) {
                 this.consecutiveErrors++;
                 const classified = this.classifyError(err);
@@ -123,6 +233,10 @@ export default class AgentLoop extends EventEmitter {
                     );
                 }
 
+                // Repair round-trips may have spent tokens before the call failed
+                const budgetReport = this.stopIfOverBudget();
+                if (budgetReport) return budgetReport;
+
                 // Wait and retry the step
                 await this.sleep(2000);
                 this.stepCount--; // Don't count the failed attempt
@@ -135,17 +249,44 @@ export default class AgentLoop extends EventEmitter {
                 actions: plan.actions,
                 done: plan.done,
                 result: plan.result,
+                usage: plan.usage,
             });
 
             if (plan.thinking) {
                 logger.info('LLM thinking', { thought: plan.thinking });
             }
 
+            this.updateSubGoals(plan.subgoals);
+
             if (plan.done) {
-                logger.info('Task complete', { result: plan.result });
-                return this.buildReport(plan.result);
+                const outputErrors = this.checkOutput(plan.output);
+                if (outputErrors) {
+                    // Same as a verifier rejection: keep working with the errors as feedback
+                    this.history.push({ step: this.stepCount, plan, results: [] });
+                    this.pendingOutputErrors = outputErrors;
+                    const budgetReport = this.stopIfOverBudget();
+                    if (budgetReport) return budgetReport;
+                    continue;
+                }
+
+                const objection = await this.verifyResult(plan.result);
+                if (!objection) {
+                    logger.info('Task complete', { result: plan.result });
+                    const outputAccepted = this.outputChecks.at(-1)?.valid === true;
+                    return this.buildReport(plan.result, outputAccepted ? plan.output : null);
+                }
+
+                // Rejected — keep the step on record and hand the objection back to the planner
+                this.history.push({ step: this.stepCount, plan, results: [] });
+                this.pendingFeedback = objection;
+                const budgetReport = this.stopIfOverBudget();
+                if (budgetReport) return budgetReport;
+                continue;
             }
 
+            const budgetReport = this.stopIfOverBudget();
+            if (budgetReport) return budgetReport;
+
             if (plan.actions.length === 0) {
                 logger.warn('LLM returned no actions — requesting retry');
                 continue;
@@ -156,6 +297,11 @@ export default class AgentLoop extends EventEmitter {
             this.history.push({ step: this.stepCount, plan, results });
             this.emit('step:act', { step: this.stepCount, results });
 
+            if (results.at(-1)?.pageChanged) {
+                // Not a failure — the next observation shows the new page
+                logger.info('Page changed mid-batch — re-observing', { reason: results.at(-1).reason });
+            }
+
             this.planner.trimHistory();
 
             // Step delay to let the page settle (inspired by surf.new's wait_time_between_steps)
@@ -168,6 +314,172 @@ export default class AgentLoop extends EventEmitter {
         return this.buildReport('Max steps reached. Task may be incomplete.');
     }
 
+    /**
+     * The report to stop with once the LLM budget is spent, or null. Checked
+     * only where the loop would go back to the planner — a "done" answer that
+     * crosses the budget still gets its output check and verifier pass.
+     */
+    stopIfOverBudget() {
+        const overBudget = this.planner.usage.checkBudget(this.budget);
+        if (!overBudget) return null;
+
+        logger.warn('Stopping agent — LLM budget exhausted', { reason: overBudget });
+        return this.buildReport(`Agent stopped: ${overBudget}. Task may be incomplete.`);
+    }
+
+    /**
+     * Follows the active tab: element handles from the old page are dropped,
+     * and the executor and extractor act on the new one from here on.
+     */
+    rebind(page) {
+        if (!this.executor) return;
+
+        this.executor.setPage(page);
+        this.contextExtractor.setPage(page);
+        this.elements.clear().catch(() => { });
+        logger.info('Active tab changed', { url: page.url() });
+    }
+
+    /**
+     * A failed planning phase is not fatal — the agent just runs without a checklist.
+     */
+    async planSubGoals(taskDescription, startUrl) {
+        try {
+            const descriptions = await this.planner.decomposeTask(taskDescription, startUrl);
+            this.subgoals = new SubGoalTracker(descriptions);
+            logger.info('Sub-goals planned', { count: descriptions.length });
+            this.emit('subgoals:planned', { subgoals: this.subgoals.toJSON() });
+        } catch (err) {
+            const classified = this.classifyError(err);
+            logger.warn('Sub-goal planning failed — continuing without a checklist', {
+                type: classified.type,
+                message: classified.message,
+            });
+        }
+    }
+
+    /**
+     * Playbook lookups are best-effort — a broken store must not stop the agent.
+     */
+    async findPlaybooks(url) {
+        if (!this.settings.playbooks) return [];
+
+        try {
+            return await this.playbookStore.match(url);
+        } catch (err) {
+            logger.warn('Playbook lookup failed — continuing without playbooks', { error: err.message });
+            return [];
+        }
+    }
+
+    recordPlaybooks(playbooks, appliedAs) {
+        for (const { id, name } of playbooks) {
+            const applied = this.appliedPlaybooks.get(id);
+            if (applied) {
+                applied.lastStep = this.stepCount;
+                continue;
+            }
+
+            logger.info('Applying site playbook', { id, appliedAs });
+            this.appliedPlaybooks.set(id, {
+                id,
+                name,
+                appliedAs,
+                firstStep: this.stepCount,
+                lastStep: this.stepCount,
+            });
+        }
+    }
+
+    updateSubGoals(updates) {
+        if (!this.subgoals || updates.length === 0) return;
+
+        const changed = this.subgoals.applyUpdates(updates, this.stepCount);
+        if (changed.length === 0) return;
+
+        logger.info('Sub-goals updated', {
+            changed: changed.map((goal) => `${goal.id}:${goal.status}`),
+        });
+        this.emit('subgoals:update', {
+            step: this.stepCount,
+            subgoals: this.subgoals.toJSON(),
+            changed: changed.map((goal) => goal.id),
+        });
+    }
+
+    /**
+     * Checks a "done" answer's output against the session's output schema.
+     * Returns the validation errors to send back, or null when the output is
+     * accepted — including when there is no schema or the retry cap is reached
+     * (the report then carries no output).
+     */
+    checkOutput(output) {
+        if (!this.outputContract) return null;
+
+        const errors = this.outputContract.check(output);
+        const record = {
+            step: this.stepCount,
+            attempt: this.outputChecks.length + 1,
+            valid: errors.length === 0,
+            errors,
+        };
+        this.outputChecks.push(record);
+        this.emit('step:output', record);
+
+        if (record.valid) return null;
+
+        const rejections = this.outputChecks.filter((check) => !check.valid).length;
+        if (rejections > this.maxOutputRejections) {
+            logger.warn('Output rejection cap reached — finishing without structured output', { errors });
+            return null;
+        }
+
+        logger.info('Output rejected by schema', { errors });
+        return errors;
+    }
+
+    /**
+     * Verifier pass for a "done" answer. Returns the critic's objection, or
+     * null when the result is accepted — including when verification is off,
+     * the retry cap is reached (the verdict is still recorded), or the
+     * verifier itself fails.
+     */
+    async verifyResult(claimedResult) {
+        if (!this.verify) return null;
+
+        let verdict;
+        try {
+            const observation = await this.contextExtractor.extractTextSnapshot();
+            verdict = await this.planner.verifyResult(
+                claimedResult,
+                observation,
+                this.history,
+                this.stepCount
+            );
+        } catch (err) {
+            const classified = this.classifyError(err);
+            logger.warn('Verifier failed — accepting result unverified', {
+                type: classified.type,
+                message: classified.message,
+            });
+            verdict = { supported: null, objection: null, error: classified.message };
+        }
+
+        const record = { step: this.stepCount, attempt: this.verifications.length + 1, ...verdict };
+        this.verifications.push(record);
+        this.emit('step:verify', record);
+        logger.info('Verifier verdict', { supported: verdict.supported, objection: verdict.objection });
+
+        if (verdict.supported !== false) return null;
+
+        const rejections = this.verifications.filter((v) => v.supported === false).length;
+        if (rejections > this.maxVerificationRejections) {
+            logger.warn('Verifier rejection cap reached — accepting result unverified', { rejections });
+            return null;
+        }
+        return verdict.objection || 'The claimed result is not supported by the current page.';
+    }
+
     stop() {
         this.aborted = true;
         this.status = 'stopping';
@@ -179,12 +491,26 @@ export default class AgentLoop extends EventEmitter {
         return this.history[this.history.length - 1].results;
     }
 
-    buildReport(finalResult) {
+    buildReport(finalResult, output = null) {
         return {
             task: 'complete',
             totalSteps: this.stepCount,
-            maxSteps: config.agent.maxSteps,
+            maxSteps: this.settings.maxSteps,
             result: finalResult,
+            output,
+            outputValidation: this.outputContract
+                ? { valid: output !== null, attempts: this.outputChecks }
+                : null,
+            usage: this.planner.usage.totals(),
+            subgoals: this.subgoals?.toJSON() || null,
+            playbooks: [...this.appliedPlaybooks.values()],
+            downloads: this.downloads.list(),
+            verification: this.verify
+                ? {
+                    verified: this.verifications.at(-1)?.supported === true,
+                    attempts: this.verifications,
+                }
+                : null,
             history: this.history,
             browserUptime: this.session.getUptimeSeconds(),
         };
@@ -197,23 +523,45 @@ export default class AgentLoop extends EventEmitter {
     classifyError(error) {
         const message = error.message || String(error);
 
+        // Provider adapters already know what went wrong — trust their mapping
+        if (error instanceof ProviderError) {
+            return this.describeErrorType(error.type, message);
+        }
+
         if (message.includes('429') || message.includes('rate limit') || message.includes('quota')) {
-            return { type: 'RATE_LIMIT', message: `Rate limited: ${message}`, retryable: true };
+            return this.describeErrorType('RATE_LIMIT', message);
         }
         if (message.includes('timeout') || message.includes('ETIMEDOUT')) {
-            return { type: 'TIMEOUT', message: `Request timed out: ${message}`, retryable: true };
+            return this.describeErrorType('TIMEOUT', message);
         }
         if (message.includes('ECONNREFUSED') || message.includes('network')) {
-            return { type: 'NETWORK', message: `Network error: ${message}`, retryable: true };
+            return this.describeErrorType('NETWORK', message);
         }
-        if (message.includes('Invalid JSON') || message.includes('parse')) {
-            return { type: 'PARSE_ERROR', message: `Invalid response: ${message}`, retryable: true };
+        if (message.includes('Invalid JSON') || message.includes('parse') || message.includes('validation')) {
+            return this.describeErrorType('PARSE_ERROR', message);
         }
         if (message.includes('API key') || message.includes('auth') || message.includes('401')) {
-            return { type: 'AUTH_ERROR', message: `Authentication error: ${message}`, retryable: false };
+            return this.describeErrorType('AUTH_ERROR', message);
         }
 
-        return { type: 'UNKNOWN', message, retryable: false };
+        return this.describeErrorType('UNKNOWN', message);
+    }
+
+    describeErrorType(type, message) {
+        switch (type) {
+            case 'RATE_LIMIT':
+                return { type, message: `Rate limited: ${message}`, retryable: true };
+            case 'TIMEOUT':
+                return { type, message: `Request timed out: ${message}`, retryable: true };
+            case 'NETWORK':
+                return { type, message: `Network error: ${message}`, retryable: true };
+            case 'PARSE_ERROR':
+                return { type, message: `Invalid response: ${message}`, retryable: true };
+            case 'AUTH_ERROR':
+                return { type, message: `Authentication error: ${message}`, retryable: false };
+            default:
+                return { type: 'UNKNOWN', message, retryable: false };
+        }
     }
 
     sleep(ms) {
@@ -224,8 +572,10 @@ export default class AgentLoop extends EventEmitter {
         return {
             status: this.status,
             stepCount: this.stepCount,
-            maxSteps: config.agent.maxSteps,
+            maxSteps: this.settings.maxSteps,
+            provider: this.planner.provider.name,
             historyLength: this.history.length,
+            usage: this.planner.usage.totals(),
             consecutiveErrors: this.consecutiveErrors,
         };
     }
@@ -0,0 +1,33 @@
+import Ajv from 'ajv';
+
+/**
+ * Wraps the per-session output JSON Schema. The planner's "output" field is
+ * checked against it before a "done" answer is accepted.
+ * The constructor throws if the schema itself does not compile.
+ */
+export default class OutputContract {
+    constructor(schema) {
+        this.schema = schema;
+        // One Ajv per contract: a shared one would keep every session's schema
+        // and refuse a second session whose schema has the same $id.
+        // User-supplied schemas — don't reject unknown keywords or formats.
+        const ajv = new Ajv({ allErrors: true, strict: false });
+        this.validate = ajv.compile(schema);
+    }
+
+    /**
+     * Returns human-readable errors the model can act on — empty if valid.
+     */
+    check(output) {
+        if (output === undefined || output === null) {
+            return ['output: missing — set "output" to a value matching the output schema'];
+        }
+        if (this.validate(output)) return [];
+
+        return this.validate.errors.map(({ instancePath, message, params }) => {
+            const path = instancePath ? instancePath.slice(1).replace(/\//g, '.') : '';
+            const allowed = params?.allowedValues ? ` (${params.allowedValues.join(', ')})` : '';
+            return `output${path ? `.${path}` : ''}: ${message}${allowed}`;
+        });
+    }
+}
@@ -1,6 +1,5 @@
 import { v4 as uuidv4 } from 'uuid';
 import AgentLoop from './AgentLoop.js';
-import config from '../config.js';
 import logger from '../logger.js';
 
 /**
@@ -15,31 +14,38 @@ class SessionManager {
     constructor() {
         this.sessions = new Map();
         this.sessionTimeouts = new Map();
-        this.maxSessionAge = config.agent.sessionTimeoutMinutes * 60 * 1000;
 
         // Periodic cleanup every 60s — removes sessions that are completed
         // and older than 10 minutes to free memory.
         this.reaperInterval = setInterval(() => this.reapStaleSessions(), 60_000);
     }
 
-    createSession(taskDescription, startUrl) {
+    /**
+     * options are the per-session overrides (see sessionOptions.js); the
+     * effective settings after merging with config are kept on the session.
+     */
+    createSession(taskDescription, startUrl, options = {}) {
         const sessionId = uuidv4();
-        const agent = new AgentLoop();
+        const agent = new AgentLoop({ ...options, sessionId });
 
         const session = {
             id: sessionId,
             task: taskDescription,
             startUrl,
+            provider: agent.planner.provider.name,
+            settings: agent.settings,
             agent,
             createdAt: new Date().toISOString(),
             completedAt: null,
             report: null,
             error: null,
+            subgoals: null,
             steps: [],
             metrics: {
                 totalSteps: 0,
                 planLatencies: [],
                 actionLatencies: [],
+                usage: null,
                 startedAt: Date.now(),
                 endedAt: null,
             },
@@ -49,19 +55,24 @@ class SessionManager {
         this.attachListeners(session);
 
         // Add session timeout — auto-stop if running too long
+        const { sessionTimeoutMinutes } = agent.settings;
         const timeout = setTimeout(() => {
             if (session.agent.status === 'running') {
                 logger.warn('Session timed out — auto-stopping', { sessionId });
                 session.agent.stop();
-                session.error = `Session timed out after ${config.agent.sessionTimeoutMinutes} minutes`;
+                session.error = `Session timed out after ${sessionTimeoutMinutes} minutes`;
                 session.completedAt = new Date().toISOString();
                 session.metrics.endedAt = Date.now();
             }
-        }, this.maxSessionAge);
+        }, sessionTimeoutMinutes * 60 * 1000);
 
         this.sessionTimeouts.set(sessionId, timeout);
 
-        logger.info('Session created', { sessionId, task: taskDescription });
+        logger.info('Session created', {
+            sessionId,
+            task: taskDescription,
+            provider: session.provider,
+        });
         return session;
     }
 
@@ -87,6 +98,9 @@ class SessionManager {
             if (lastObserve) {
                 metrics.planLatencies.push(now - lastObserve.timestamp);
             }
+            if (data.usage) {
+                metrics.usage = data.usage.total;
+            }
             session.steps.push({ phase: 'plan', ...data, timestamp: now });
         });
 
@@ -101,6 +115,28 @@ class SessionManager {
             session.steps.push({ phase: 'act', ...data, timestamp: now });
         });
 
+        agent.on('step:output', (data) => {
+            session.steps.push({ phase: 'output', ...data, timestamp: Date.now() });
+        });
+
+        agent.on('step:dialog', (data) => {
+            session.steps.push({ phase: 'dialog', ...data, timestamp: Date.now() });
+        });
+
+        agent.on('step:download', (data) => {
+            session.steps.push({ phase: 'download', ...data, timestamp: Date.now() });
+        });
+
+        agent.on('step:verify', (data) => {
+            session.steps.push({ phase: 'verify', ...data, timestamp: Date.now() });
+        });
+
+        const trackSubGoals = ({ subgoals }) => {
+            session.subgoals = subgoals;
+        };
+        agent.on('subgoals:planned', trackSubGoals);
+        agent.on('subgoals:update', trackSubGoals);
+
         agent.on('task:complete', ({ report }) => {
             session.report = report;
             session.completedAt = new Date().toISOString();
@@ -164,6 +200,10 @@ class SessionManager {
         }
 
         this.sessions.delete(sessionId);
+        // The files go with the session; the artifact endpoints can no longer serve them anyway
+        session.agent.downloads.remove().catch((error) => {
+            logger.warn('Could not remove session downloads', { sessionId, error: error.message });
+        });
         logger.info('Session deleted', { sessionId });
         return true;
     }
@@ -189,6 +229,13 @@ class SessionManager {
             totalSteps: metrics.totalSteps,
             avgPlanLatencyMs: Number(avgPlanLatency),
             avgActionLatencyMs: Number(avgActionLatency),
+            tokens: {
+                prompt: metrics.usage?.promptTokens || 0,
+                completion: metrics.usage?.completionTokens || 0,
+                total: metrics.usage?.totalTokens || 0,
+            },
+            costUsd: metrics.usage?.costUsd ?? null,
+            llmCalls: metrics.usage?.calls || 0,
             durationMs: (metrics.endedAt || Date.now()) - metrics.startedAt,
         };
     }
@@ -0,0 +1,59 @@
+const FINISHED = ['done', 'failed'];
+
+/**
+ * Ordered checklist of sub-goals produced by the optional planning phase.
+ * The first unfinished goal is the current one; the planner marks goals
+ * "done" or "failed" through the "subgoals" field of its response.
+ */
+export default class SubGoalTracker {
+    constructor(descriptions) {
+        this.goals = descriptions.map((description, index) => ({
+            id: index + 1,
+            description,
+            status: 'pending',
+            note: null,
+            finishedAtStep: null,
+        }));
+        this.activateNext();
+    }
+
+    current() {
+        return this.goals.find((goal) => goal.status === 'active') || null;
+    }
+
+    isComplete() {
+        return this.goals.every((goal) => FINISHED.includes(goal.status));
+    }
+
+    /**
+     * Applies [{ id, status, note? }] from a plan. Unknown ids and
+     * re-finishing an already finished goal are ignored.
+     * Returns the goals that changed.
+     */
+    applyUpdates(updates = [], stepNumber = null) {
+        const changed = [];
+
+        for (const { id, status, note } of updates) {
+            const goal = this.goals.find((g) => g.id === id);
+            if (!goal || FINISHED.includes(goal.status) || !FINISHED.includes(status)) continue;
+
+            goal.status = status;
+            goal.note = note || null;
+            goal.finishedAtStep = stepNumber;
+            changed.push(goal);
+        }
+
+        if (changed.length > 0) this.activateNext();
+        return changed;
+    }
+
+    activateNext() {
+        if (this.current()) return;
+        const next = this.goals.find((goal) => goal.status === 'pending');
+        if (next) next.status = 'active';
+    }
+
+    toJSON() {
+        return this.goals.map((goal) => ({ ...goal }));
+    }
+}
@@ -0,0 +1,167 @@
+import Ajv from 'ajv';
+import config from '../config.js';
+import { CONTEXT_MODES } from '../context/PageContextExtractor.js';
+import { listProviders } from '../planner/providers/index.js';
+import UsageTracker from '../planner/UsageTracker.js';
+import OutputContract from './OutputContract.js';
+
+const ajv = new Ajv({ allErrors: true });
+
+const DIALOG_DECISION = { enum: ['accept', 'dismiss', 'defer'] };
+
+/**
+ * Per-session overrides accepted by /api/agent/start and the CLI.
+ * Anything left out falls back to the global config.
+ */
+const OPTIONS_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        provider: { enum: listProviders() },
+        model: { type: 'string', minLength: 1 },
+        temperature: { type: 'number', minimum: 0, maximum: 2 },
+        maxOutputTokens: { type: 'integer', minimum: 1 },
+        maxSteps: { type: 'integer', minimum: 1, maximum: 200 },
+        stepDelayMs: { type: 'integer', minimum: 0, maximum: 60_000 },
+        headless: { type: 'boolean' },
+        viewport: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                width: { type: 'integer', minimum: 320, maximum: 3840 },
+                height: { type: 'integer', minimum: 240, maximum: 2160 },
+            },
+            required: ['width', 'height'],
+        },
+        timeoutMs: { type: 'integer', minimum: 1000, maximum: 300_000 },
+        // One decision for every dialog type, or one per type
+        dialogPolicy: {
+            anyOf: [
+                DIALOG_DECISION,
+                {
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        alert: DIALOG_DECISION,
+                        confirm: DIALOG_DECISION,
+                        prompt: DIALOG_DECISION,
+                        beforeunload: DIALOG_DECISION,
+                    },
+                },
+            ],
+        },
+        // true/false, or the full policy for the "evaluate" action
+        evaluatePolicy: {
+            anyOf: [
+                { type: 'boolean' },
+                {
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        enabled: { type: 'boolean' },
+                        maxResultBytes: { type: 'integer', minimum: 256, maximum: 1_000_000 },
+                        timeoutMs: { type: 'integer', minimum: 100, maximum: 60_000 },
+                    },
+                },
+            ],
+        },
+        sessionTimeoutMinutes: { type: 'integer', minimum: 1, maximum: 240 },
+        contextMode: { enum: CONTEXT_MODES },
+        decompose: { type: 'boolean' },
+        verify: { type: 'boolean' },
+        playbooks: { type: 'boolean' },
+        outputSchema: { type: 'object' },
+        maxTokens: { type: 'integer', minimum: 1 },
+        maxCostUsd: { type: 'number', exclusiveMinimum: 0 },
+    },
+};
+
+const validate = ajv.compile(OPTIONS_SCHEMA);
+
+/**
+ * Returns human-readable validation errors — empty if the options are valid.
+ */
+export function validateSessionOptions(options = {}) {
+    if (validate(options)) {
+        return [...validateCostBudget(options), ...validateOutputSchema(options.outputSchema)];
+    }
+
+    return validate.errors.map(({ instancePath, message, params }) => {
+        const field = instancePath ? instancePath.slice(1).replace(/\//g, '.') : 'options';
+        if (params.additionalProperty) return `${field}: unknown option "${params.additionalProperty}"`;
+        if (params.allowedValues) return `${field}: ${message} (${params.allowedValues.join(', ')})`;
+        return `${field}: ${message}`;
+    });
+}
+
+// Usage of a model without a price has no cost, so the ceiling would never trip
+function validateCostBudget({ maxCostUsd, provider = config.llm.provider, model }) {
+    if (maxCostUsd === undefined) return [];
+    const effectiveModel = model ?? config[provider]?.model;
+    if (UsageTracker.priceOf(effectiveModel)) return [];
+    return [
+        `maxCostUsd: no price is known for model "${effectiveModel}" — add it to LLM_PRICES or use maxTokens`,
+    ];
+}
+
+function validateOutputSchema(schema) {
+    if (schema === undefined) return [];
+    try {
+        new OutputContract(schema);
+        return [];
+    } catch (error) {
+        return [`outputSchema: not a valid JSON Schema — ${error.message}`];
+    }
+}
+
+function resolveDialogPolicy(policy = {}) {
+    if (typeof policy === 'string') {
+        return Object.fromEntries(
+            Object.keys(config.browser.dialogPolicy).map((type) => [type, policy])
+        );
+    }
+    return { ...config.browser.dialogPolicy, ...policy };
+}
+
+function resolveEvaluatePolicy(policy = {}) {
+    if (typeof policy === 'boolean') {
+        return { ...config.evaluate.policy, enabled: policy };
+    }
+    return { ...config.evaluate.policy, ...policy };
+}
+
+/**
+ * Validates the overrides and fills in every setting from config, giving
+ * the effective settings a session runs with (echoed back by the API).
+ */
+export function resolveSessionOptions(options = {}) {
+    const errors = validateSessionOptions(options);
+    if (errors.length > 0) {
+        throw new Error(`Invalid session options: ${errors.join('; ')}`);
+    }
+
+    const provider = options.provider ?? config.llm.provider;
+    const providerDefaults = config[provider] || {};
+
+    return {
+        provider,
+        model: options.model ?? providerDefaults.model,
+        temperature: options.temperature ?? providerDefaults.temperature,
+        maxOutputTokens: options.maxOutputTokens ?? providerDefaults.maxOutputTokens,
+        maxSteps: options.maxSteps ?? config.agent.maxSteps,
+        stepDelayMs: options.stepDelayMs ?? config.agent.stepDelayMs,
+        headless: options.headless ?? config.browser.headless,
+        viewport: options.viewport ?? { ...config.browser.viewport },
+        timeoutMs: options.timeoutMs ?? config.browser.timeout,
+        dialogPolicy: resolveDialogPolicy(options.dialogPolicy),
+        evaluatePolicy: resolveEvaluatePolicy(options.evaluatePolicy),
+        sessionTimeoutMinutes: options.sessionTimeoutMinutes ?? config.agent.sessionTimeoutMinutes,
+        contextMode: options.contextMode ?? config.context.mode,
+        decompose: options.decompose ?? config.agent.decomposeTasks,
+        verify: options.verify ?? config.agent.verifyResults,
+        playbooks: options.playbooks ?? true,
+        outputSchema: options.outputSchema ?? null,
+        maxTokens: options.maxTokens ?? null,
+        maxCostUsd: options.maxCostUsd ?? null,
+    };
+}
@@ -1,17 +1,30 @@
 import { Router } from 'express';
+import { resolve } from 'path';
 import sessionManager from '../agent/SessionManager.js';
 import ActionExecutor from '../executor/ActionExecutor.js';
+import { validateSessionOptions } from '../agent/sessionOptions.js';
 import logger from '../logger.js';
 
 const router = Router();
 
 /**
  * POST /api/agent/start
- * Body: { task: string, startUrl?: string }
- * Starts a new agent session and returns the session ID immediately.
+ * Body: {
+ *   task: string, startUrl?: string,
+ *   options?: {                                — per-session overrides, see agent/sessionOptions.js
+ *     provider?, model?, temperature?, maxOutputTokens?,
+ *     maxSteps?, stepDelayMs?, headless?, viewport?: { width, height },
+ *     timeoutMs?, sessionTimeoutMinutes?, contextMode?: 'text' | 'vision' | 'hybrid' | 'aria',
+ *     decompose?, verify?, playbooks?, maxTokens?, maxCostUsd?,
+ *     outputSchema?: object,                   — JSON Schema the final "output" must match
+ *     dialogPolicy?: 'accept' | 'dismiss' | 'defer' | { alert?, confirm?, prompt?, beforeunload? },
+ *     evaluatePolicy?: boolean | { enabled?, maxResultBytes?, timeoutMs? }
+ *   }
+ * }
+ * Starts a new agent session and returns the session ID and its effective settings immediately.
  */
 router.post('/start', (req, res) => {
-    const { task, startUrl } = req.body;
+    const { task, startUrl, options = {} } = req.body ?? {};
 
     if (!task || typeof task !== 'string') {
         return res.status(400).json({
@@ -23,7 +36,18 @@ router.post('/start', (req, res) => {
         });
     }
 
-    const session = sessionManager.createSession(task, startUrl);
+    const optionErrors = validateSessionOptions(options);
+    if (optionErrors.length > 0) {
+        return res.status(400).json({
+            error: {
+                message: `Invalid options: ${optionErrors.join('; ')}`,
+                type: 'ValidationError',
+                code: 400,
+            },
+        });
+    }
+
+    const session = sessionManager.createSession(task, startUrl, options);
 
     // Fire and forget — the agent runs in the background
     session.agent
@@ -38,6 +62,8 @@ router.post('/start', (req, res) => {
     res.status(201).json({
         sessionId: session.id,
         task: session.task,
+        provider: session.provider,
+        settings: session.settings,
         status: 'running',
         createdAt: session.createdAt,
     });
@@ -65,11 +91,14 @@ router.get('/:sessionId', (req, res) => {
     res.json({
         id: session.id,
         task: session.task,
+        provider: session.provider,
         status: session.agent.status,
         stepCount: session.agent.stepCount,
-        maxSteps: session.agent.toJSON().maxSteps,
+        maxSteps: session.settings.maxSteps,
+        settings: session.settings,
         createdAt: session.createdAt,
         completedAt: session.completedAt,
+        subgoals: session.subgoals,
         steps: session.steps,
         report: session.report,
         error: session.error,
@@ -97,6 +126,47 @@ router.get('/:sessionId/metrics', (req, res) => {
     res.json(metrics);
 });
 
+/**
+ * GET /api/agent/:sessionId/artifacts
+ * Lists the files the session downloaded.
+ */
+router.get('/:sessionId/artifacts', (req, res) => {
+    const session = sessionManager.getSession(req.params.sessionId);
+
+    if (!session) {
+        return res.status(404).json({
+            error: {
+                message: 'Session not found',
+                type: 'NotFoundError',
+                code: 404,
+            },
+        });
+    }
+
+    res.json({ artifacts: session.agent.downloads.list() });
+});
+
+/**
+ * GET /api/agent/:sessionId/artifacts/:name
+ * Sends a downloaded file as an attachment.
+ */
+router.get('/:sessionId/artifacts/:name', (req, res) => {
+    const session = sessionManager.getSession(req.params.sessionId);
+    const artifact = session?.agent.downloads.get(req.params.name);
+
+    if (!artifact) {
+        return res.status(404).json({
+            error: {
+                message: session ? 'Artifact not found' : 'Session not found',
+                type: 'NotFoundError',
+                code: 404,
+            },
+        });
+    }
+
+    res.download(resolve(artifact.path), artifact.name);
+});
+
 /**
  * POST /api/agent/:sessionId/stop
  * Gracefully stops a running agent session.
@@ -147,10 +217,14 @@ router.get('/', (_req, res) => {
 
 /**
  * GET /api/agent/actions/supported
- * Returns the list of supported browser actions.
+ * Returns the list of supported browser actions (built-in and plugin),
+ * plus each one's prompt description, parameter schema and plugin file.
  */
 router.get('/actions/supported', (_req, res) => {
-    res.json({ actions: ActionExecutor.listSupportedActions() });
+    res.json({
+        actions: ActionExecutor.listSupportedActions(),
+        details: ActionExecutor.describeActions(),
+    });
 });
 
 export default router;
@@ -0,0 +1,85 @@
+import { Router } from 'express';
+import { playbookStore, validatePlaybook } from '../playbooks/PlaybookStore.js';
+
+const router = Router();
+
+function validationError(res, errors) {
+    return res.status(400).json({
+        error: {
+            message: `Invalid playbook: ${errors.join('; ')}`,
+            type: 'ValidationError',
+            code: 400,
+        },
+    });
+}
+
+function notFound(res) {
+    return res.status(404).json({
+        error: {
+            message: 'Playbook not found',
+            type: 'NotFoundError',
+            code: 404,
+        },
+    });
+}
+
+/**
+ * GET /api/playbooks
+ * Lists every valid playbook in the playbook directory.
+ */
+router.get('/', async (_req, res) => {
+    res.json({ playbooks: await playbookStore.list() });
+});
+
+/**
+ * GET /api/playbooks/:id
+ */
+router.get('/:id', async (req, res) => {
+    const playbook = await playbookStore.get(req.params.id);
+    if (!playbook) return notFound(res);
+    res.json(playbook);
+});
+
+/**
+ * POST /api/playbooks
+ * Body: { id, name, match: string[], hints: string, scope?: 'page' | 'system' }
+ */
+router.post('/', async (req, res) => {
+    const playbook = { scope: 'page', ...req.body };
+    const errors = validatePlaybook(playbook);
+    if (errors.length > 0) return validationError(res, errors);
+
+    if (await playbookStore.get(playbook.id)) {
+        return res.status(409).json({
+            error: {
+                message: `Playbook "${playbook.id}" already exists`,
+                type: 'ConflictError',
+                code: 409,
+            },
+        });
+    }
+
+    res.status(201).json(await playbookStore.create(playbook));
+});
+
+/**
+ * PUT /api/playbooks/:id
+ * Body: any of { name, match, hints, scope } — merged into the stored playbook.
+ */
+router.put('/:id', async (req, res) => {
+    // Without a JSON body req.body is undefined, which can't be destructured
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+        return validationError(res, ['body: expected a JSON object with the fields to change']);
+    }
+
+    const existing = await playbookStore.get(req.params.id);
+    if (!existing) return notFound(res);
+
+    const { id: _id, updatedAt: _updatedAt, ...changes } = req.body;
+    const errors = validatePlaybook({ ...existing, ...changes });
+    if (errors.length > 0) return validationError(res, errors);
+
+    res.json(await playbookStore.update(req.params.id, changes));
+});
+
+export default router;
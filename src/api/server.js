@@ -5,6 +5,7 @@ import cors from 'cors';
 import config from '../config.js';
 import logger from '../logger.js';
 import agentRoutes from './agentRoutes.js';
+import playbookRoutes from './playbookRoutes.js';
 import { setupSocketHandlers } from './socketHandlers.js';
 
 /**
@@ -23,7 +24,7 @@ export function createApp() {
     const io = new SocketIOServer(httpServer, {
         cors: {
             origin: config.api.corsOrigin,
-            methods: ['GET', 'POST', 'DELETE'],
+            methods: ['GET', 'POST', 'PUT', 'DELETE'],
         },
         // Increased ping timeout for long-running agent sessions
         pingTimeout: 60_000,
@@ -67,6 +68,9 @@ export function createApp() {
     // --- Agent routes ---
     app.use('/api/agent', agentRoutes);
 
+    // --- Site playbooks ---
+    app.use('/api/playbooks', playbookRoutes);
+
     // --- Static screenshots ---
     app.use('/screenshots', express.static(config.screenshots.directory));
 
@@ -12,6 +12,12 @@ import logger from '../logger.js';
  *   socket.on('step:observe', data => ...)
  *   socket.on('step:plan',    data => ...)
  *   socket.on('step:act',     data => ...)
+ *   socket.on('step:output',  data => ...)
+ *   socket.on('step:verify',  data => ...)
+ *   socket.on('step:download', data => ...)
+ *   socket.on('step:dialog',  data => ...)
+ *   socket.on('subgoals:planned', data => ...)
+ *   socket.on('subgoals:update',  data => ...)
  *   socket.on('task:complete', data => ...)
  *   socket.on('task:error',   data => ...)
  */
@@ -37,6 +43,7 @@ export function setupSocketHandlers(io) {
             socket.emit('session:replay', {
                 sessionId,
                 status: session.agent.status,
+                subgoals: session.subgoals,
                 steps: session.steps,
                 report: session.report,
                 error: session.error,
@@ -48,6 +55,12 @@ export function setupSocketHandlers(io) {
                 'step:observe',
                 'step:plan',
                 'step:act',
+                'step:output',
+                'step:verify',
+                'step:download',
+                'step:dialog',
+                'subgoals:planned',
+                'subgoals:update',
                 'task:complete',
                 'task:error',
             ];
@@ -1,30 +1,57 @@
+import { EventEmitter } from 'events';
 import { chromium } from 'playwright';
 import config from '../config.js';
 import logger from '../logger.js';
 
+const DIALOG_OUTCOMES = { accept: 'accepted', dismiss: 'dismissed', defer: 'pending' };
+// Same as Playwright's "networkidle": no request in flight for this long
+const NETWORK_QUIET_MS = 500;
+const NETWORK_POLL_MS = 100;
+
 /**
  * Manages the Playwright browser lifecycle.
- * One browser, one context, one active page at a time.
+ * One browser and one context; every page (tab) in the context is tracked,
+ * and one of them is active at a time. Pages opened by the site itself —
+ * target=_blank links, OAuth popups — become the active tab.
  *
  * Inspired by surf.new's Steel session management —
  * clean create/release pattern with configurable viewport dimensions.
+ *
+ * JavaScript dialogs are handled per `dialogPolicy` ({ alert, confirm,
+ * prompt, beforeunload } → 'accept' | 'dismiss' | 'defer'). A deferred
+ * dialog stays open — blocking its page — until answerDialog() is called.
+ * Every dialog is queued for the next page observation.
+ *
+ * Events emitted:
+ *   'page:active' — (page) whenever the active tab changes
+ *   'download'    — (download) a Playwright Download started in any tab
+ *   'dialog'      — (record) a dialog opened, with how it was handled
  */
-export default class BrowserSession {
-    constructor() {
+export default class BrowserSession extends EventEmitter {
+    constructor({
+        headless = config.browser.headless,
+        viewport = config.browser.viewport,
+        timeout = config.browser.timeout,
+        dialogPolicy = config.browser.dialogPolicy,
+    } = {}) {
+        super();
+        this.settings = { headless, viewport, timeout, dialogPolicy };
         this.browser = null;
         this.context = null;
         this.page = null;
+        this.pages = [];
+        this.pendingDialogs = new Map();
+        this.unreportedDialogs = [];
+        this.networkActivity = new Map();
         this.launchedAt = null;
     }
 
     async launch() {
-        logger.info('Launching browser', {
-            headless: config.browser.headless,
-            viewport: config.browser.viewport,
-        });
+        const { headless, viewport, timeout } = this.settings;
+        logger.info('Launching browser', { headless, viewport });
 
         this.browser = await chromium.launch({
-            headless: config.browser.headless,
+            headless,
             args: [
                 '--disable-blink-features=AutomationControlled',
                 '--no-sandbox',
@@ -32,32 +59,237 @@ export default class BrowserSession {
         });
 
         this.context = await this.browser.newContext({
-            viewport: config.browser.viewport,
+            viewport,
             userAgent:
                 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 ' +
                 '(KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
             // Be a bit more browser-like to avoid bot detection
             locale: 'en-US',
+            acceptDownloads: true,
             timezoneId: 'America/New_York',
         });
 
-        this.page = await this.context.newPage();
-        this.launchedAt = Date.now();
+        // Registered before the first page so it is tracked like any other
+        this.context.on('page', (page) => this.track(page));
 
-        // Set default navigation timeout from config
-        this.page.setDefaultNavigationTimeout(config.browser.timeout);
-        this.page.setDefaultTimeout(config.browser.timeout);
+        await this.context.newPage();
+        this.launchedAt = Date.now();
 
         logger.info('Browser ready');
         return this.page;
     }
 
+    /**
+     * New pages become the active tab — the agent almost always wants to
+     * follow the popup or new window it just triggered.
+     */
+    track(page) {
+        page.setDefaultNavigationTimeout(this.settings.timeout);
+        page.setDefaultTimeout(this.settings.timeout);
+        page.on('close', () => this.untrack(page));
+        page.on('download', (download) => this.emit('download', download));
+        page.on('dialog', (dialog) => this.handleDialog(page, dialog));
+        this.watchRequests(page);
+
+        this.pages.push(page);
+        logger.info('Tab opened', { index: this.pages.length - 1, url: page.url() });
+        this.activate(page);
+    }
+
+    untrack(page) {
+        this.pages = this.pages.filter((p) => p !== page);
+        this.pendingDialogs.delete(page);
+        this.networkActivity.delete(page);
+        if (this.page === page && this.pages.length > 0) {
+            this.activate(this.pages[this.pages.length - 1]);
+        }
+    }
+
+    activate(page) {
+        if (this.page === page) return;
+        this.page = page;
+        this.emit('page:active', page);
+    }
+
+    async listTabs() {
+        return Promise.all(
+            this.pages.map(async (page, index) => ({
+                index,
+                url: page.url(),
+                // title() would hang behind an open dialog
+                title: this.pendingDialogs.has(page) ? '' : await page.title().catch(() => ''),
+                active: page === this.page,
+            }))
+        );
+    }
+
+    getTab(index) {
+        const page = this.pages[index];
+        if (!page) {
+            throw new Error(`Tab ${index} does not exist — there are ${this.pages.length} open tabs`);
+        }
+        return page;
+    }
+
+    async switchTab(index) {
+        const page = this.getTab(index);
+        await page.bringToFront();
+        this.activate(page);
+        return page;
+    }
+
+    async openTab(url) {
+        // The context's 'page' listener tracks and activates it
+        const page = await this.context.newPage();
+        if (url) {
+            await page.goto(url, { waitUntil: 'domcontentloaded' });
+        }
+        return page;
+    }
+
+    /**
+     * Swaps a tab whose JavaScript is stuck (e.g. in an endless loop) for a
+     * fresh one at the same URL, in the same position — closing the page is
+     * the only way to stop such a script. The new tab becomes active.
+     */
+    async replaceTab(page) {
+        const url = page.url();
+        const index = this.pages.indexOf(page);
+        // The context's 'page' listener tracks and activates it
+        const fresh = await this.context.newPage();
+        this.pages = this.pages.filter((p) => p !== fresh);
+        this.pages.splice(index === -1 ? this.pages.length : index, 0, fresh);
+
+        await page.close({ runBeforeUnload: false }).catch((error) => {
+            logger.warn('Could not close the stuck tab', { error: error.message });
+        });
+        if (url && url !== 'about:blank') {
+            await fresh.goto(url, { waitUntil: 'domcontentloaded' }).catch((error) => {
+                logger.warn('Could not reopen the stuck tab\'s URL', { url, error: error.message });
+            });
+        }
+        logger.info('Tab replaced', { index, url });
+        return fresh;
+    }
+
+    async closeTab(index) {
+        if (this.pages.length === 1) {
+            throw new Error('Cannot close the last open tab');
+        }
+        await this.getTab(index).close();
+    }
+
+    watchRequests(page) {
+        const activity = { inFlight: new Set(), lastChange: 0 };
+        const started = (request) => {
+            activity.inFlight.add(request);
+            activity.lastChange = Date.now();
+        };
+        const ended = (request) => {
+            activity.inFlight.delete(request);
+            activity.lastChange = Date.now();
+        };
+        page.on('request', started);
+        page.on('requestfinished', ended);
+        page.on('requestfailed', ended);
+        this.networkActivity.set(page, activity);
+    }
+
+    /**
+     * Resolves once the page has had no request in flight for 500ms.
+     * waitForLoadState('networkidle') returns at once on a page that went
+     * idle after loading; this also waits out requests started since — the
+     * XHR a click just fired, say. Throws a TimeoutError after `timeout`.
+     */
+    async waitForNetworkIdle(page, { timeout }) {
+        const activity = this.networkActivity.get(page);
+        const deadline = Date.now() + timeout;
+        while (activity.inFlight.size > 0 || Date.now() - activity.lastChange < NETWORK_QUIET_MS) {
+            if (Date.now() >= deadline) {
+                const error = new Error(`${activity.inFlight.size} requests still in flight after ${timeout}ms`);
+                error.name = 'TimeoutError';
+                throw error;
+            }
+            await new Promise((resolve) => setTimeout(resolve, NETWORK_POLL_MS));
+        }
+    }
+
+    async handleDialog(page, dialog) {
+        const policy = this.settings.dialogPolicy[dialog.type()];
+        const decision = policy in DIALOG_OUTCOMES ? policy : 'defer';
+        const record = {
+            type: dialog.type(),
+            message: dialog.message(),
+            defaultValue: dialog.defaultValue() || undefined,
+            url: page.url(),
+            handled: DIALOG_OUTCOMES[decision],
+        };
+
+        logger.info('Dialog opened', { type: record.type, message: record.message, decision });
+        this.unreportedDialogs.push(record);
+
+        // Registered before the event, so listeners already see it as pending
+        if (decision === 'defer') {
+            this.pendingDialogs.set(page, { dialog, record });
+            this.emit('dialog', record);
+            return;
+        }
+        this.emit('dialog', record);
+
+        // Accepting a prompt keeps its default value, like pressing OK
+        const handling = decision === 'accept' ? dialog.accept(dialog.defaultValue()) : dialog.dismiss();
+        await handling.catch((err) => {
+            logger.warn('Dialog already closed', { error: err.message });
+        });
+    }
+
+    /**
+     * The deferred dialog blocking a page (the active one by default), or null.
+     */
+    pendingDialog(page = this.page) {
+        return this.pendingDialogs.get(page)?.record || null;
+    }
+
+    /**
+     * Answers the deferred dialog on the active page. `text` fills a prompt.
+     */
+    async answerDialog({ accept, text }) {
+        const pending = this.pendingDialogs.get(this.page);
+        if (!pending) {
+            throw new Error('No dialog is waiting for an answer on the active tab');
+        }
+
+        const { dialog, record } = pending;
+        this.pendingDialogs.delete(this.page);
+
+        if (accept) {
+            await dialog.accept(text ?? dialog.defaultValue());
+        } else {
+            await dialog.dismiss();
+        }
+
+        record.handled = accept ? 'accepted' : 'dismissed';
+        if (accept && text !== undefined) record.answer = text;
+        return record;
+    }
+
+    /**
+     * Dialogs seen since the last call, for the next page observation.
+     */
+    takeDialogs() {
+        const dialogs = this.unreportedDialogs;
+        this.unreportedDialogs = [];
+        return dialogs;
+    }
+
     async close() {
         if (this.browser) {
             const uptime = this.launchedAt
                 ? `${((Date.now() - this.launchedAt) / 1000).toFixed(1)}s`
                 : 'unknown';
 
+            // Forget the tabs first so their close events don't re-activate anything
+            this.pages = [];
             await this.browser.close().catch((err) => {
                 logger.warn('Browser close error (non-critical)', {
                     error: err.message,
@@ -0,0 +1,124 @@
+import { mkdir, rm, stat } from 'fs/promises';
+import { basename, join } from 'path';
+import config from '../config.js';
+import logger from '../logger.js';
+
+/**
+ * Saves every Playwright download of a session into its own folder
+ * (<downloads dir>/<session id>/) and keeps a list of the artifacts.
+ *
+ * Saving is asynchronous; drain() waits (up to `waitMs`) for downloads in
+ * flight and hands over the artifacts finished since the previous drain, so
+ * the executor can report them with the action that triggered them. A
+ * download still saving when the wait runs out is reported as pending, and
+ * again once it is finished.
+ */
+export default class DownloadCollector {
+    constructor(sessionId, { directory = config.downloads.directory, waitMs = config.downloads.waitMs } = {}) {
+        this.directory = join(directory, sessionId);
+        this.waitMs = waitMs;
+        this.artifacts = [];
+        // saving promise → { name, url } of the download in flight
+        this.pending = new Map();
+        this.fresh = [];
+        this.removed = false;
+        // Names are claimed when a download starts, so two in flight can't collide
+        this.names = new Set();
+    }
+
+    /**
+     * Listener for BrowserSession's 'download' event.
+     */
+    capture(download) {
+        const record = {
+            name: this.uniqueName(download.suggestedFilename()),
+            url: download.url(),
+            path: null,
+            size: null,
+            error: null,
+        };
+        const saving = this.save(download, record).finally(() => this.pending.delete(saving));
+        this.pending.set(saving, { name: record.name, url: record.url, reported: false });
+        return saving;
+    }
+
+    async save(download, record) {
+        const { name } = record;
+        const path = join(this.directory, name);
+
+        try {
+            if (this.removed) throw new Error('The session was deleted');
+            await mkdir(this.directory, { recursive: true });
+            await download.saveAs(path);
+            record.path = path;
+            record.size = (await stat(path)).size;
+            logger.info('Download saved', { name, size: record.size });
+        } catch (error) {
+            record.error = (await download.failure().catch(() => null)) || error.message;
+            logger.warn('Download failed', { name, error: record.error });
+        }
+
+        record.savedAt = new Date().toISOString();
+        this.artifacts.push(record);
+        this.fresh.push(record);
+        return record;
+    }
+
+    async drain({ timeoutMs = this.waitMs } = {}) {
+        if (this.pending.size > 0) {
+            let timer;
+            const timeout = new Promise((resolve) => {
+                timer = setTimeout(resolve, timeoutMs);
+            });
+            await Promise.race([Promise.allSettled([...this.pending.keys()]), timeout]);
+            clearTimeout(timer);
+        }
+
+        const drained = this.fresh.map(toPublic);
+        this.fresh = [];
+        for (const inFlight of this.pending.values()) {
+            if (inFlight.reported) continue;
+            inFlight.reported = true;
+            drained.push({ name: inFlight.name, url: inFlight.url, pending: true });
+        }
+        return drained;
+    }
+
+    /**
+     * Deletes the session's downloads folder; downloads still saving are dropped.
+     */
+    async remove() {
+        this.removed = true;
+        await rm(this.directory, { recursive: true, force: true });
+        logger.info('Downloads removed', { directory: this.directory });
+    }
+
+    get(name) {
+        return this.artifacts.find((artifact) => artifact.name === name && artifact.path) || null;
+    }
+
+    list() {
+        return this.artifacts.map(toPublic);
+    }
+
+    /**
+     * Suggested names come from the site — strip any path and avoid clobbering earlier files.
+     */
+    uniqueName(suggested) {
+        const base = basename(suggested || 'download').replace(/[^\w.\- ]/g, '_') || 'download';
+        const dot = base.lastIndexOf('.');
+
+        let name = base;
+        for (let i = 1; this.names.has(name); i++) {
+            name = dot > 0 ? `${base.slice(0, dot)}-${i}${base.slice(dot)}` : `${base}-${i}`;
+        }
+
+        this.names.add(name);
+        return name;
+    }
+}
+
+// Server paths stay internal; the API serves artifacts by name
+function toPublic({ path: _path, ...artifact }) {
+    return artifact;
+}
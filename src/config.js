@@ -1,12 +1,57 @@
 import 'dotenv/config';
 
+// `parseFloat(x) || fallback` would turn a legitimate 0 into the fallback
+function numberFromEnv(value, fallback) {
+    const parsed = parseFloat(value);
+    return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+// A malformed value is reported by name and ignored rather than crashing the import.
+// The logger is built from this config, hence plain console output.
+function jsonFromEnv(name, fallback) {
+    const value = process.env[name];
+    if (!value) return fallback;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        console.error(`Ignoring ${name}: not valid JSON (${error.message})`);
+        return fallback;
+    }
+}
+
 const config = {
+    llm: {
+        provider: process.env.LLM_PROVIDER || 'gemini',
+        cassette: {
+            // off | record | replay
+            mode: process.env.CASSETTE_MODE || 'off',
+            path: process.env.CASSETTE_PATH || './cassettes/session.json',
+        },
+        // Chat history is compacted once it grows past this many (estimated) tokens
+        historyTokenBudget: parseInt(process.env.HISTORY_TOKEN_BUDGET, 10) || 30_000,
+        historyRecentSteps: numberFromEnv(process.env.HISTORY_RECENT_STEPS, 3),
+        // Round-trips allowed to fix a response that fails parsing/validation
+        maxRepairAttempts: numberFromEnv(process.env.PLAN_REPAIR_ATTEMPTS, 2),
+        // USD per 1M tokens, merged over the defaults in planner/UsageTracker.js
+        // e.g. LLM_PRICES='{"llama3": {"input": 0, "output": 0}}'
+        prices: jsonFromEnv('LLM_PRICES', {}),
+    },
     gemini: {
         apiKey: process.env.GEMINI_API_KEY,
         model: process.env.GEMINI_MODEL || 'gemini-2.0-flash',
-        temperature: parseFloat(process.env.GEMINI_TEMPERATURE) || 0.1,
+        temperature: numberFromEnv(process.env.GEMINI_TEMPERATURE, 0.1),
         maxOutputTokens: parseInt(process.env.GEMINI_MAX_TOKENS, 10) || 8192,
     },
+    openai: {
+        apiKey: process.env.OPENAI_API_KEY,
+        baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+        temperature: numberFromEnv(process.env.OPENAI_TEMPERATURE, 0.1),
+        maxOutputTokens: parseInt(process.env.OPENAI_MAX_TOKENS, 10) || 8192,
+        // Some local servers reject response_format — set OPENAI_JSON_MODE=false for those
+        jsonMode: process.env.OPENAI_JSON_MODE !== 'false',
+        timeoutMs: parseInt(process.env.OPENAI_TIMEOUT_MS, 10) || 120_000,
+    },
     browser: {
         headless: process.env.BROWSER_HEADLESS === 'true',
         viewport: {
@@ -14,15 +59,59 @@ const config = {
             height: parseInt(process.env.BROWSER_HEIGHT, 10) || 720,
         },
         timeout: parseInt(process.env.BROWSER_TIMEOUT, 10) || 15_000,
+        // What to do with each kind of JavaScript dialog: accept | dismiss | defer (ask the model)
+        dialogPolicy: {
+            alert: process.env.DIALOG_ALERT || 'accept',
+            confirm: process.env.DIALOG_CONFIRM || 'defer',
+            prompt: process.env.DIALOG_PROMPT || 'defer',
+            beforeunload: process.env.DIALOG_BEFOREUNLOAD || 'accept',
+        },
     },
     agent: {
         maxSteps: parseInt(process.env.MAX_AGENT_STEPS, 10) || 25,
-        stepDelayMs: parseInt(process.env.AGENT_STEP_DELAY_MS, 10) || 500,
+        stepDelayMs: numberFromEnv(process.env.AGENT_STEP_DELAY_MS, 500),
         sessionTimeoutMinutes: parseInt(process.env.SESSION_TIMEOUT_MINUTES, 10) || 15,
+        // Break each task into a tracked sub-goal checklist before the first step
+        decomposeTasks: process.env.DECOMPOSE_TASKS === 'true',
+        // Have a critic prompt check "done" results against the page before accepting them
+        verifyResults: process.env.VERIFY_RESULTS === 'true',
+        maxVerificationRejections: numberFromEnv(process.env.VERIFY_MAX_REJECTIONS, 2),
+        maxOutputRejections: numberFromEnv(process.env.OUTPUT_MAX_REJECTIONS, 2),
+        // Stop an action batch once this share of the page's elements changed since it was observed
+        stalePageRatio: numberFromEnv(process.env.STALE_PAGE_RATIO, 0.3),
+    },
+    context: {
+        // text | vision | hybrid | aria — see PageContextExtractor
+        mode: process.env.CONTEXT_MODE || 'text',
+    },
+    plugins: {
+        // Custom action modules registered at startup (see executor/loadPlugins.js)
+        directory: process.env.PLUGIN_DIR || './plugins',
+    },
+    playbooks: {
+        directory: process.env.PLAYBOOK_DIR || './playbooks',
     },
     screenshots: {
         directory: process.env.SCREENSHOT_DIR || './screenshots',
     },
+    evaluate: {
+        // The "evaluate" action runs page JavaScript written by the model — off unless a session allows it
+        policy: {
+            enabled: process.env.EVALUATE_ENABLED === 'true',
+            maxResultBytes: parseInt(process.env.EVALUATE_MAX_RESULT_BYTES, 10) || 8192,
+            timeoutMs: parseInt(process.env.EVALUATE_TIMEOUT_MS, 10) || 5000,
+        },
+    },
+    uploads: {
+        // The upload action can only attach files from here
+        directory: process.env.UPLOAD_DIR || './inputs',
+    },
+    downloads: {
+        // Each session saves its downloads to <directory>/<session id>/
+        directory: process.env.DOWNLOAD_DIR || './downloads',
+        // How long an action waits for its downloads to finish saving before reporting them as pending
+        waitMs: numberFromEnv(process.env.DOWNLOAD_WAIT_MS, 5000),
+    },
     logging: {
         level: process.env.LOG_LEVEL || 'info',
     },
@@ -0,0 +1,73 @@
+/**
+ * Holds the element handles captured during the latest observe phase, so
+ * actions can refer to "[12]" from the element list instead of copying a
+ * CSS selector back. Shared by PageContextExtractor (writes) and
+ * ActionExecutor (reads); every observation replaces the previous set.
+ *
+ * Alongside each handle it keeps the observed descriptor (tag, text,
+ * aria-label, label, placeholder, name, role, selector, frame), so a target that went missing
+ * can be looked up again by what it looked like. In aria context mode the
+ * entries are role locators rather than handles.
+ */
+export default class ElementRegistry {
+    constructor() {
+        this.handles = [];
+        this.descriptors = [];
+    }
+
+    async replace(handles, descriptors = []) {
+        const previous = this.handles;
+        this.handles = handles;
+        this.descriptors = descriptors;
+        // Locators (aria mode) hold nothing in the page and have no dispose()
+        await Promise.all(previous.map((handle) => handle?.dispose?.().catch(() => { })));
+    }
+
+    async clear() {
+        await this.replace([]);
+    }
+
+    /**
+     * Returns the live ElementHandle (a Locator in aria mode) for an index,
+     * or throws a message the model can act on if the index is unknown or
+     * the element is gone.
+     */
+    async resolve(index) {
+        const handle = this.handles[index];
+        if (!handle) {
+            throw new Error(
+                `Element [${index}] does not exist — the last observation listed ${this.handles.length} elements`
+            );
+        }
+
+        // Navigations destroy the handle's execution context, which makes evaluate throw.
+        // A locator is looked up afresh, so it is only stale once nothing matches.
+        const connected =
+            typeof handle.count === 'function'
+                ? (await handle.count().catch(() => 0)) > 0
+                : await handle.evaluate((el) => el.isConnected).catch(() => false);
+        if (!connected) {
+            throw new Error(
+                `Element [${index}] is stale — the page changed after it was observed. Re-read the element list and pick again.`
+            );
+        }
+
+        return handle;
+    }
+
+    describe(index) {
+        return this.descriptors[index] || null;
+    }
+
+    /**
+     * The observed element a selector was copied from, if any.
+     */
+    findBySelector(selector, frame) {
+        const framePath = (frame || []).join(' >> ');
+        return (
+            this.descriptors.find(
+                (descriptor) => descriptor.selector === selector && (descriptor.frame || []).join(' >> ') === framePath
+            ) || null
+        );
+    }
+}
@@ -1,103 +1,249 @@
+import config from '../config.js';
 import logger from '../logger.js';
+import { annotateAriaSnapshot } from './ariaSnapshot.js';
+
+/**
+ * How the page is shown to the model:
+ *   text   — DOM element list + visible text
+ *   vision — set-of-marks screenshot + element list
+ *   hybrid — screenshot, element list and visible text
+ *   aria   — the accessibility tree (roles, names, states, nesting) with
+ *            numbered interactive nodes, instead of the DOM element list
+ */
+export const CONTEXT_MODES = ['text', 'vision', 'hybrid', 'aria'];
+
+// Longest accessibility snapshot read from the page, in milliseconds
+const ARIA_SNAPSHOT_TIMEOUT_MS = 5000;
 
 /**
  * Extracts a structured snapshot of the current page state
  * that gets sent to the LLM for decision-making.
  */
 export default class PageContextExtractor {
-    constructor(page) {
+    /**
+     * `elements` is an optional ElementRegistry that receives a handle for
+     * every listed element, so actions can target them by index.
+     * `tabs` is an optional BrowserSession whose open tabs are listed.
+     */
+    constructor(page, { mode = config.context.mode, elements = null, tabs = null } = {}) {
+        if (!CONTEXT_MODES.includes(mode)) {
+            throw new Error(`Unknown context mode "${mode}". Supported: ${CONTEXT_MODES.join(', ')}`);
+        }
+        this.page = page;
+        this.mode = mode;
+        this.elements = elements;
+        this.tabs = tabs;
+    }
+
+    setPage(page) {
         this.page = page;
     }
 
     async extract() {
+        const dialogs = this.tabs ? this.tabs.takeDialogs() : [];
+        const pendingDialog = this.tabs?.pendingDialog(this.page);
+        if (pendingDialog) {
+            return this.extractBlocked(pendingDialog, dialogs);
+        }
+
+        if (this.mode === 'aria') {
+            return this.extractAria(dialogs);
+        }
+
         const url = this.page.url();
         const title = await this.page.title();
         const interactiveElements = await this.extractInteractiveElements();
-        const visibleText = await this.extractVisibleText();
+        const visibleText = this.mode === 'vision' ? '' : await this.extractVisibleText();
+        const screenshot =
+            this.mode === 'text' ? null : await this.captureMarkedScreenshot(interactiveElements);
+        const tabs = this.tabs ? await this.tabs.listTabs() : [];
 
         logger.debug('Page context extracted', {
             url,
+            mode: this.mode,
             elementCount: interactiveElements.length,
         });
 
-        return { url, title, interactiveElements, visibleText };
+        return { url, title, mode: this.mode, tabs, dialogs, interactiveElements, visibleText, screenshot };
     }
 
     /**
-     * Finds all clickable / typeable / selectable elements and returns
-     * a compact representation the LLM can reason about.
+     * Aria mode: the page as Playwright's accessibility snapshot. Interactive
+     * nodes are numbered like the DOM element list, and the registry gets a
+     * role locator for each, so "element": 3 works for every action.
+     */
+    async extractAria(dialogs) {
+        const url = this.page.url();
+        const title = await this.page.title();
+        const snapshot = await this.page.locator('body').ariaSnapshot({ timeout: ARIA_SNAPSHOT_TIMEOUT_MS });
+        const { tree, elements } = annotateAriaSnapshot(snapshot);
+        const tabs = this.tabs ? await this.tabs.listTabs() : [];
+
+        if (this.elements) {
+            await this.elements.replace(
+                elements.map((el) => this.page.locator(el.selector)),
+                elements
+            );
+        }
+
+        logger.debug('Page context extracted', { url, mode: this.mode, elementCount: elements.length });
+
+        return {
+            url,
+            title,
+            mode: this.mode,
+            tabs,
+            dialogs,
+            interactiveElements: elements,
+            ariaTree: tree,
+            visibleText: '',
+            screenshot: null,
+        };
+    }
+
+    /**
+     * A deferred dialog blocks the page's JavaScript, so nothing can be read
+     * from it until the model answers — report just the dialog.
+     */
+    async extractBlocked(dialog, dialogs) {
+        await this.elements?.clear();
+        return {
+            url: this.page.url(),
+            title: '',
+            mode: this.mode,
+            tabs: this.tabs ? await this.tabs.listTabs() : [],
+            dialogs,
+            pendingDialog: dialog,
+            interactiveElements: [],
+            visibleText: '',
+            screenshot: null,
+        };
+    }
+
+    /**
+     * Cheap text-only look at the page, used to check a claimed result.
+     */
+    async extractTextSnapshot() {
+        if (this.tabs?.pendingDialog(this.page)) {
+            return { url: this.page.url(), title: '', visibleText: '(page blocked by an open dialog)' };
+        }
+        return {
+            url: this.page.url(),
+            title: await this.page.title(),
+            visibleText: await this.extractVisibleText(),
+        };
+    }
+
+    /**
+     * Finds all clickable / typeable / selectable elements — in the page,
+     * its iframes (same- and cross-origin) and open shadow roots — and
+     * returns a compact representation the LLM can reason about. Elements
+     * inside an iframe carry a `frame` path of iframe selectors, top-down,
+     * and a bbox in page coordinates. The matching handles go to the
+     * element registry, in the same order, along with the elements
+     * themselves as descriptors for selector healing.
      */
     async extractInteractiveElements() {
-        return this.page.evaluate(() => {
-            const selectors = [
-                'a[href]',
-                'button',
-                'input',
-                'textarea',
-                'select',
-                '[role="button"]',
-                '[role="link"]',
-                '[role="tab"]',
-                '[onclick]',
-            ];
-
-            const seen = new Set();
-            const elements = [];
-
-            for (const selector of selectors) {
-                for (const el of document.querySelectorAll(selector)) {
-                    if (seen.has(el)) continue;
-                    seen.add(el);
-
-                    const rect = el.getBoundingClientRect();
-                    const isVisible =
-                        rect.width > 0 &&
-                        rect.height > 0 &&
-                        window.getComputedStyle(el).visibility !== 'hidden';
-
-                    if (!isVisible) continue;
-
-                    elements.push({
-                        tag: el.tagName.toLowerCase(),
-                        type: el.getAttribute('type') || undefined,
-                        id: el.id || undefined,
-                        name: el.getAttribute('name') || undefined,
-                        text: (el.innerText || el.value || '').trim().slice(0, 80),
-                        placeholder: el.getAttribute('placeholder') || undefined,
-                        href: el.getAttribute('href') || undefined,
-                        ariaLabel: el.getAttribute('aria-label') || undefined,
-                        selector: buildSelector(el),
-                    });
-                }
+        const elements = [];
+        const handles = [];
+
+        for (const { frame, path, offset } of await this.listFrames()) {
+            let result;
+            try {
+                result = await frame.evaluateHandle(scanDocument);
+            } catch (err) {
+                // The top frame must work; a child frame may navigate or detach mid-scan
+                if (path.length === 0) throw err;
+                logger.debug('Skipping frame', { frame: path, error: err.message });
+                continue;
             }
 
-            return elements;
-
-            function buildSelector(el) {
-                if (el.id) return `#${el.id}`;
-                if (el.getAttribute('name'))
-                    return `${el.tagName.toLowerCase()}[name="${el.getAttribute('name')}"]`;
-                if (el.getAttribute('aria-label'))
-                    return `[aria-label="${el.getAttribute('aria-label')}"]`;
-
-                // Fallback: nth-of-type path
-                const parts = [];
-                let current = el;
-                while (current && current !== document.body) {
-                    const parent = current.parentElement;
-                    if (!parent) break;
-                    const siblings = [...parent.children].filter(
-                        (c) => c.tagName === current.tagName
-                    );
-                    const index = siblings.indexOf(current) + 1;
-                    parts.unshift(
-                        `${current.tagName.toLowerCase()}:nth-of-type(${index})`
-                    );
-                    current = parent;
+            try {
+                const found = await result.evaluate((r) => r.elements);
+                for (const el of found) {
+                    elements.push(path.length === 0 ? el : { ...el, frame: path, bbox: shift(el.bbox, offset) });
+                }
+                if (this.elements) {
+                    handles.push(...(await collectHandles(result)));
                 }
-                return parts.join(' > ');
+            } finally {
+                await result.dispose();
             }
-        });
+        }
+
+        if (this.elements) {
+            await this.elements.replace(handles, elements);
+        }
+        return elements;
+    }
+
+    /**
+     * The main frame plus every visible descendant iframe, breadth-first,
+     * each with its selector path and its offset in the page.
+     */
+    async listFrames() {
+        const frames = [{ frame: this.page.mainFrame(), path: [], offset: { x: 0, y: 0 } }];
+
+        for (let i = 0; i < frames.length && frames.length < MAX_FRAMES; i++) {
+            const parent = frames[i];
+            for (const child of parent.frame.childFrames()) {
+                const located = await locateFrame(child).catch(() => null);
+                if (!located) continue;
+                frames.push({ frame: child, path: [...parent.path, located.selector], offset: located.offset });
+                if (frames.length >= MAX_FRAMES) break;
+            }
+        }
+
+        return frames;
+    }
+
+    /**
+     * Takes a viewport screenshot with a numbered box drawn over every
+     * interactive element, so "[12]" in the element list and the "12" label
+     * in the image refer to the same thing. The overlay is removed afterwards.
+     */
+    async captureMarkedScreenshot(elements) {
+        await this.page.evaluate((boxes) => {
+            const overlay = document.createElement('div');
+            overlay.id = '__yocrawl_marks__';
+            overlay.style.cssText =
+                'position:fixed;inset:0;pointer-events:none;z-index:2147483647;';
+
+            const { innerWidth, innerHeight } = window;
+            boxes.forEach((box, index) => {
+                const inView =
+                    box.x + box.width > 0 && box.y + box.height > 0 &&
+                    box.x < innerWidth && box.y < innerHeight;
+                if (!inView) return;
+
+                const color = `hsl(${(index * 47) % 360}, 90%, 40%)`;
+                const mark = document.createElement('div');
+                mark.style.cssText =
+                    `position:fixed;left:${box.x}px;top:${box.y}px;` +
+                    `width:${box.width}px;height:${box.height}px;` +
+                    `border:2px solid ${color};box-sizing:border-box;`;
+
+                const label = document.createElement('span');
+                label.textContent = String(index);
+                label.style.cssText =
+                    `position:absolute;top:-2px;left:-2px;background:${color};color:#fff;` +
+                    'font:bold 11px/14px monospace;padding:0 3px;';
+
+                mark.appendChild(label);
+                overlay.appendChild(mark);
+            });
+
+            document.documentElement.appendChild(overlay);
+        }, elements.map((el) => el.bbox));
+
+        try {
+            const image = await this.page.screenshot({ type: 'jpeg', quality: 70 });
+            return { mimeType: 'image/jpeg', data: image.toString('base64') };
+        } finally {
+            await this.page
+                .evaluate(() => document.getElementById('__yocrawl_marks__')?.remove())
+                .catch(() => { });
+        }
     }
 
     /**
@@ -111,3 +257,187 @@ export default class PageContextExtractor {
         return rawText.replace(/\s+/g, ' ').trim().slice(0, 3000);
     }
 }
+
+// Ad-heavy pages can embed dozens of iframes; the first ones are the ones that matter
+const MAX_FRAMES = 20;
+
+/**
+ * Runs inside each frame: collects visible interactive elements from the
+ * document and every open shadow root. Must stay self-contained — it is
+ * serialised into the page.
+ */
+function scanDocument() {
+    const selectors = [
+        'a[href]',
+        'button',
+        'input',
+        'textarea',
+        'select',
+        '[role="button"]',
+        '[role="link"]',
+        '[role="tab"]',
+        '[role="option"]',
+        '[onclick]',
+    ];
+
+    const roots = [document];
+    for (let i = 0; i < roots.length; i++) {
+        for (const el of roots[i].querySelectorAll('*')) {
+            if (el.shadowRoot) roots.push(el.shadowRoot);
+        }
+    }
+
+    const seen = new Set();
+    const elements = [];
+    const nodes = [];
+
+    for (const selector of selectors) {
+        for (const root of roots) {
+            for (const el of root.querySelectorAll(selector)) {
+                if (seen.has(el)) continue;
+                seen.add(el);
+
+                const rect = el.getBoundingClientRect();
+                const isVisible =
+                    rect.width > 0 &&
+                    rect.height > 0 &&
+                    window.getComputedStyle(el).visibility !== 'hidden';
+
+                if (!isVisible) continue;
+
+                const text = (el.innerText || el.value || '').trim();
+                const label = el.labels?.[0]?.innerText.trim() || '';
+                elements.push({
+                    tag: el.tagName.toLowerCase(),
+                    type: el.getAttribute('type') || undefined,
+                    id: el.id || undefined,
+                    name: el.getAttribute('name') || undefined,
+                    text: text.slice(0, 80),
+                    // Healing must then match the text as a substring, not exactly
+                    textTruncated: text.length > 80 || undefined,
+                    placeholder: el.getAttribute('placeholder') || undefined,
+                    href: el.getAttribute('href') || undefined,
+                    ariaLabel: el.getAttribute('aria-label') || undefined,
+                    // Text of an associated <label> (for= or wrapping), for healing by label
+                    label: label.slice(0, 80) || undefined,
+                    labelTruncated: label.length > 80 || undefined,
+                    role: roleOf(el),
+                    selector: buildSelector(el),
+                    bbox: {
+                        x: Math.round(rect.x),
+                        y: Math.round(rect.y),
+                        width: Math.round(rect.width),
+                        height: Math.round(rect.height),
+                    },
+                });
+                nodes.push(el);
+            }
+        }
+    }
+
+    return { elements, nodes };
+
+    // Explicit role, else the implicit ARIA role of the common interactive tags
+    function roleOf(el) {
+        const explicit = el.getAttribute('role');
+        if (explicit) return explicit;
+
+        const tag = el.tagName.toLowerCase();
+        if (tag === 'a') return 'link';
+        if (tag === 'button') return 'button';
+        if (tag === 'textarea') return 'textbox';
+        if (tag === 'select') return el.multiple || el.size > 1 ? 'listbox' : 'combobox';
+        if (tag !== 'input') return undefined;
+
+        const inputRoles = {
+            button: 'button',
+            submit: 'button',
+            reset: 'button',
+            image: 'button',
+            checkbox: 'checkbox',
+            radio: 'radio',
+            range: 'slider',
+            number: 'spinbutton',
+            search: 'searchbox',
+            text: 'textbox',
+            email: 'textbox',
+            tel: 'textbox',
+            url: 'textbox',
+        };
+        return inputRoles[(el.getAttribute('type') || 'text').toLowerCase()];
+    }
+
+    // Inside a shadow root the selector is chained from the host: "host >> inner"
+    function buildSelector(el) {
+        const root = el.getRootNode();
+        const local = localSelector(el);
+        return root instanceof ShadowRoot ? `${buildSelector(root.host)} >> ${local}` : local;
+    }
+
+    function localSelector(el) {
+        if (el.id) return `#${el.id}`;
+        if (el.getAttribute('name'))
+            return `${el.tagName.toLowerCase()}[name="${el.getAttribute('name')}"]`;
+        if (el.getAttribute('aria-label'))
+            return `[aria-label="${el.getAttribute('aria-label')}"]`;
+
+        // Fallback: nth-of-type path up to the body or the shadow root
+        const parts = [];
+        let current = el;
+        while (current && current !== document.body) {
+            const parent =
+                current.parentElement ||
+                (current.parentNode instanceof ShadowRoot ? current.parentNode : null);
+            if (!parent) break;
+            const siblings = [...parent.children].filter(
+                (c) => c.tagName === current.tagName
+            );
+            const index = siblings.indexOf(current) + 1;
+            parts.unshift(
+                `${current.tagName.toLowerCase()}:nth-of-type(${index})`
+            );
+            if (parent instanceof ShadowRoot) break;
+            current = parent;
+        }
+        return parts.join(' > ');
+    }
+}
+
+/**
+ * Selector for a child frame's <iframe> element within its parent frame,
+ * plus the iframe's offset in the page. Null for invisible frames.
+ */
+async function locateFrame(frame) {
+    const element = await frame.frameElement();
+    try {
+        const box = await element.boundingBox();
+        if (!box || box.width === 0 || box.height === 0) return null;
+
+        const selector = await element.evaluate((el) => {
+            if (el.id) return `iframe#${el.id}`;
+            if (el.getAttribute('name')) return `iframe[name="${el.getAttribute('name')}"]`;
+            if (el.getAttribute('src')) return `iframe[src="${el.getAttribute('src')}"]`;
+            return `iframe >> nth=${[...el.ownerDocument.querySelectorAll('iframe')].indexOf(el)}`;
+        });
+        return { selector, offset: { x: Math.round(box.x), y: Math.round(box.y) } };
+    } finally {
+        await element.dispose();
+    }
+}
+
+function shift(bbox, offset) {
+    return { ...bbox, x: bbox.x + offset.x, y: bbox.y + offset.y };
+}
+
+/**
+ * Turns the in-page `nodes` array into ElementHandles, in list order.
+ */
+async function collectHandles(result) {
+    const nodesHandle = await result.getProperty('nodes');
+    const handles = [];
+    for (const [key, handle] of await nodesHandle.getProperties()) {
+        handles[Number(key)] = handle.asElement();
+    }
+    await nodesHandle.dispose();
+    return handles;
+}
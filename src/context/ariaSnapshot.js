@@ -0,0 +1,116 @@
+// Roles the model can act on; they get a number in the annotated tree
+const INTERACTIVE_ROLES = new Set([
+    'button',
+    'checkbox',
+    'combobox',
+    'link',
+    'listbox',
+    'menuitem',
+    'menuitemcheckbox',
+    'menuitemradio',
+    'option',
+    'radio',
+    'searchbox',
+    'slider',
+    'spinbutton',
+    'switch',
+    'tab',
+    'textbox',
+    'treeitem',
+]);
+
+// role, optional "accessible name", then [state] flags
+const NODE_PATTERN = /^([a-z]+)(?: ("(?:[^"\\]|\\.)*"))?((?: \[[^\]]+\])*)/;
+
+/**
+ * Turns the YAML of Playwright's locator.ariaSnapshot() into what the model
+ * sees in "aria" context mode: the same tree with every interactive node
+ * numbered — "- [3] button "Save" [disabled]" — and one element per number.
+ *
+ * Each element's selector is a role selector with the exact accessible name
+ * (plus ">> nth=" when the role and name repeat), counted in document order
+ * just like getByRole() counts, so it finds the node again after a re-render
+ * as long as the page's structure is the same. Nodes inside an iframe are
+ * shown but not numbered — role selectors do not reach into frames.
+ *
+ * Returns { tree, elements }; elements are { role, text, states, selector }.
+ */
+export function annotateAriaSnapshot(snapshot) {
+    const lines = snapshot.split('\n');
+    const nodes = lines.map(parseLine);
+
+    const totals = new Map();
+    const interactive = [];
+    let iframeIndent = null;
+    for (const [index, node] of nodes.entries()) {
+        if (!node) continue;
+        if (iframeIndent !== null && node.indent <= iframeIndent) iframeIndent = null;
+        if (iframeIndent !== null) continue;
+        if (node.role === 'iframe') iframeIndent = node.indent;
+        if (!INTERACTIVE_ROLES.has(node.role)) continue;
+
+        interactive.push(index);
+        countKeys(totals, node);
+    }
+
+    const seen = new Map();
+    const elements = interactive.map((index) => {
+        const { role, name, states } = nodes[index];
+        const key = name ? `${role}|${name}` : role;
+        const nth = seen.get(key) || 0;
+        countKeys(seen, nodes[index]);
+
+        let selector = name ? `role=${role}[name=${JSON.stringify(name)}s]` : `role=${role}`;
+        if (totals.get(key) > 1) selector += ` >> nth=${nth}`;
+        return { role, text: name, states, selector };
+    });
+
+    interactive.forEach((index, number) => {
+        const { indent } = nodes[index];
+        lines[index] = `${lines[index].slice(0, indent)}- [${number}] ${lines[index].slice(indent + 2)}`;
+    });
+
+    return { tree: lines.join('\n'), elements };
+}
+
+// A nameless role selector matches every node of that role, so each node counts under both
+function countKeys(counts, { role, name }) {
+    for (const key of new Set([role, `${role}|${name}`])) {
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+}
+
+// One "- key: value" line → { indent, role, name, states }, or null for text and props
+function parseLine(line) {
+    const match = /^(\s*)- (.*)$/.exec(line);
+    if (!match) return null;
+
+    const [, indentation, rest] = match;
+    // Keys with YAML-special characters come single-quoted, with '' for '
+    const key = rest.startsWith("'") ? readQuotedKey(rest) : rest;
+    const node = NODE_PATTERN.exec(key);
+    if (!node || node[1] === 'text') return null;
+
+    const [, role, quotedName, flags] = node;
+    return {
+        indent: indentation.length,
+        role,
+        name: quotedName ? JSON.parse(quotedName) : '',
+        states: [...flags.matchAll(/\[([^\]]+)\]/g)].map(([, state]) => state),
+    };
+}
+
+function readQuotedKey(text) {
+    let key = '';
+    for (let i = 1; i < text.length; i++) {
+        if (text[i] !== "'") {
+            key += text[i];
+        } else if (text[i + 1] === "'") {
+            key += "'";
+            i++;
+        } else {
+            break;
+        }
+    }
+    return key;
+}
@@ -1,78 +1,386 @@
-import executeNavigate from './actions/NavigateAction.js';
-import executeClick from './actions/ClickAction.js';
-import executeType from './actions/TypeAction.js';
-import executeScroll from './actions/ScrollAction.js';
-import executeWait from './actions/WaitAction.js';
-import executeScreenshot from './actions/ScreenshotAction.js';
-import executeExtract from './actions/ExtractAction.js';
-import executeSelect from './actions/SelectAction.js';
-import executeKeypress from './actions/KeypressAction.js';
-import executeHover from './actions/HoverAction.js';
+import * as navigateAction from './actions/NavigateAction.js';
+import * as backAction from './actions/BackAction.js';
+import * as forwardAction from './actions/ForwardAction.js';
+import * as reloadAction from './actions/ReloadAction.js';
+import * as clickAction from './actions/ClickAction.js';
+import * as doubleClickAction from './actions/DoubleClickAction.js';
+import * as rightClickAction from './actions/RightClickAction.js';
+import * as clickAtAction from './actions/ClickAtAction.js';
+import * as dragAction from './actions/DragAction.js';
+import * as typeAction from './actions/TypeAction.js';
+import * as scrollAction from './actions/ScrollAction.js';
+import * as waitAction from './actions/WaitAction.js';
+import * as screenshotAction from './actions/ScreenshotAction.js';
+import * as extractAction from './actions/ExtractAction.js';
+import * as selectAction from './actions/SelectAction.js';
+import * as keypressAction from './actions/KeypressAction.js';
+import * as hoverAction from './actions/HoverAction.js';
+import * as listTabsAction from './actions/ListTabsAction.js';
+import * as switchTabAction from './actions/SwitchTabAction.js';
+import * as newTabAction from './actions/NewTabAction.js';
+import * as closeTabAction from './actions/CloseTabAction.js';
+import * as uploadAction from './actions/UploadAction.js';
+import * as dialogAction from './actions/DialogAction.js';
+import * as evaluateAction from './actions/EvaluateAction.js';
+import { fallbackLocators } from './fallbackLocators.js';
+import PageChangeWatch from './PageChangeWatch.js';
+import { compileActionSchema } from '../planner/PlanValidator.js';
+import config from '../config.js';
 import logger from '../logger.js';
 
+/**
+ * Action registry: name → { handler, schema, description, plugin? }.
+ * `schema` is the JSON Schema for the action's parameters (everything but
+ * "action"); `description` holds the example line(s) shown in the system
+ * prompt. Built-in actions come from ./actions; more can be added at runtime
+ * with ActionExecutor.registerAction() (see loadPlugins.js).
+ */
 const ACTION_HANDLERS = {
-    navigate: executeNavigate,
-    click: executeClick,
-    type: executeType,
-    scroll: executeScroll,
-    wait: executeWait,
-    screenshot: executeScreenshot,
-    extract: executeExtract,
-    select: executeSelect,
-    keypress: executeKeypress,
-    hover: executeHover,
+    navigate: fromModule(navigateAction),
+    back: fromModule(backAction),
+    forward: fromModule(forwardAction),
+    reload: fromModule(reloadAction),
+    click: fromModule(clickAction),
+    dblclick: fromModule(doubleClickAction),
+    rightclick: fromModule(rightClickAction),
+    clickat: fromModule(clickAtAction),
+    drag: fromModule(dragAction),
+    type: fromModule(typeAction),
+    scroll: fromModule(scrollAction),
+    wait: fromModule(waitAction),
+    screenshot: fromModule(screenshotAction),
+    extract: fromModule(extractAction),
+    select: fromModule(selectAction),
+    keypress: fromModule(keypressAction),
+    hover: fromModule(hoverAction),
+    upload: fromModule(uploadAction),
+    dialog: fromModule(dialogAction),
+    evaluate: fromModule(evaluateAction),
+    listtabs: fromModule(listTabsAction),
+    switchtab: fromModule(switchTabAction),
+    newtab: fromModule(newTabAction),
+    closetab: fromModule(closeTabAction),
 };
 
+const ACTION_NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+// Safe to run on a page that changed mid-batch — they don't act on planned targets
+const PAGE_INDEPENDENT_ACTIONS = new Set(['wait', 'screenshot', 'listtabs']);
+
+// Action modules export the handler as default, plus `schema` and `description`
+function fromModule({ default: handler, schema, description }) {
+    return { handler, schema, description: [description].flat() };
+}
+
 /**
  * Routes JSON action objects to their corresponding handler functions.
  * Each action must have { action: string, ...params }.
+ * Handlers are called as handler(page, params, executor).
  */
 export default class ActionExecutor {
-    constructor(page) {
+    /**
+     * `elements` is the ElementRegistry filled during the observe phase;
+     * without it, actions can only target elements by selector.
+     * `tabs` is the BrowserSession, needed by the tab actions.
+     * `downloads` is the session's DownloadCollector; files saved while an
+     * action ran are reported in that action's result.
+     * `evaluatePolicy` ({ enabled, maxResultBytes, timeoutMs }) gates the
+     * "evaluate" action.
+     */
+    constructor(
+        page,
+        { elements = null, tabs = null, downloads = null, evaluatePolicy = config.evaluate.policy } = {}
+    ) {
         this.page = page;
+        this.elements = elements;
+        this.tabs = tabs;
+        this.downloads = downloads;
+        this.evaluatePolicy = evaluatePolicy;
+        this.healedWith = null;
+    }
+
+    /**
+     * Points every following action at another page (the new active tab).
+     */
+    setPage(page) {
+        this.page = page;
+    }
+
+    getTabs() {
+        if (!this.tabs) {
+            throw new Error('Tab actions are unavailable without a browser session');
+        }
+        return this.tabs;
+    }
+
+    /**
+     * Resolves an action's target — { element: index } or { selector, frame? } —
+     * to something Playwright can act on, plus a label for logs and results.
+     * Element handles already belong to their frame; selectors are scoped
+     * through the frame path. CSS selectors pierce open shadow roots.
+     *
+     * A stale element, or a selector copied from the element list that no
+     * longer matches, is looked up again from its observed descriptor (see
+     * heal()) before giving up.
+     */
+    async resolveTarget({ selector, element, frame }) {
+        if (element !== undefined) {
+            if (!this.elements) {
+                throw new Error('Element references are unavailable — use "selector" instead');
+            }
+            const ref = `[${element}]`;
+            try {
+                return { target: await this.elements.resolve(element), ref };
+            } catch (error) {
+                const healed = await this.heal(this.elements.describe(element), ref);
+                if (!healed) throw error;
+                return healed;
+            }
+        }
+
+        const ref = frame ? [...frame, selector].join(' >> ') : selector;
+        const target = this.scope(frame).locator(selector).first();
+
+        const descriptor = this.elements?.findBySelector(selector, frame);
+        if (descriptor && (await target.count()) === 0) {
+            const healed = await this.heal(descriptor, ref);
+            if (healed) return healed;
+        }
+
+        return { target, ref };
+    }
+
+    scope(frame) {
+        return (frame || []).reduce((parent, iframe) => parent.frameLocator(iframe), this.page);
+    }
+
+    /**
+     * Tries the fallback locators for an observed element and returns the
+     * first one matching exactly one element — an ambiguous match is not
+     * safe to act on. The winning strategy is reported with the action result.
+     */
+    async heal(descriptor, ref) {
+        if (!descriptor) return null;
+
+        for (const { strategy, selector, locate } of fallbackLocators(this.scope(descriptor.frame), descriptor)) {
+            const locator = locate();
+            if ((await locator.count().catch(() => 0)) !== 1) continue;
+
+            logger.info('Target healed', { target: ref, strategy, selector });
+            this.healedWith = { strategy, selector };
+            return { target: locator, ref };
+        }
+
+        logger.debug('No fallback locator matched', { target: ref });
+        return null;
     }
 
     async execute(actionObject) {
         const { action, ...params } = actionObject;
+        this.healedWith = null;
 
         try {
-            const handler = ACTION_HANDLERS[action];
+            const handler = ACTION_HANDLERS[action]?.handler;
             if (!handler) {
                 const supported = Object.keys(ACTION_HANDLERS).join(', ');
                 throw new Error(`Unknown action "${action}". Supported: ${supported}`);
             }
 
-            const result = await handler(this.page, params);
-            return { success: true, action, result };
+            // Anything else would hang until the dialog is closed
+            const dialog = action === 'dialog' ? null : this.tabs?.pendingDialog(this.page);
+            if (dialog) {
+                throw new Error(
+                    `A ${dialog.type} dialog is open ("${dialog.message}") — answer it with the "dialog" action first`
+                );
+            }
+
+            const { result, dialog: opened } = await this.runUntilDialog(handler(this.page, params, this));
+            if (opened) {
+                logger.info('Action opened a dialog', { action, type: opened.type });
+                return await this.annotate({
+                    success: true,
+                    action,
+                    dialogOpened: { type: opened.type, message: opened.message },
+                });
+            }
+            return await this.annotate({ success: true, action, result });
         } catch (error) {
             logger.error('Action failed', { action, error: error.message });
-            return { success: false, action, error: error.message };
+            // Handlers may attach what the failure result should still show (e.g. the script that ran)
+            const details = error.details ? { details: error.details } : {};
+            return await this.annotate({ success: false, action, error: error.message, ...details });
         }
     }
 
     /**
-     * Executes a batch of actions sequentially.
-     * Returns results for every action, even if one fails.
+     * Waits for a handler, but settles as soon as it opens a dialog that is
+     * deferred to the model: a click that opens a dialog does not finish
+     * until the dialog is answered, so waiting would turn an action that
+     * worked into a timeout. Resolves to { result } or { dialog }.
+     */
+    async runUntilDialog(running) {
+        const pending = Promise.resolve(running);
+        if (!this.tabs?.on) return { result: await pending };
+
+        let onDialog;
+        const opened = new Promise((resolve) => {
+            onDialog = (record) => {
+                if (this.tabs.pendingDialog(this.page) === record) resolve({ dialog: record });
+            };
+            this.tabs.on('dialog', onDialog);
+        });
+
+        try {
+            return await Promise.race([pending.then((result) => ({ result })), opened]);
+        } finally {
+            this.tabs.off('dialog', onDialog);
+            // Left behind when the dialog won; it settles once the dialog is answered
+            pending.catch(() => { });
+        }
+    }
+
+    /**
+     * Attaches what happened besides the action itself: files it downloaded
+     * and the fallback locator used if its target had to be healed.
+     */
+    async annotate(result) {
+        const healed = this.healedWith ? { ...result, healedWith: this.healedWith } : result;
+        const downloads = (await this.downloads?.drain()) || [];
+        if (downloads.length === 0) return healed;
+        return { ...healed, downloads };
+    }
+
+    /**
+     * Executes a batch of actions sequentially, stopping at the first failure.
+     *
+     * The batch was planned against the observed page; once that page is gone
+     * (see PageChangeWatch) the remaining actions would hit targets chosen for
+     * it. The batch then stops with a marker result in place of the next
+     * action — { action, pageChanged: true, reason, url, skipped } — which is
+     * not a failure: the caller should re-observe and plan again. An action
+     * that opens a deferred dialog stops the batch the same way, since the
+     * dialog blocks the page until it is answered.
      */
     async executeBatch(actions) {
         const results = [];
+        const watch = await new PageChangeWatch(this).start();
 
-        for (const actionObject of actions) {
-            const result = await this.execute(actionObject);
-            results.push(result);
+        try {
+            for (const [index, actionObject] of actions.entries()) {
+                if (index > 0 && !PAGE_INDEPENDENT_ACTIONS.has(actionObject.action)) {
+                    const reason = await watch.check();
+                    if (reason) {
+                        results.push(this.pageChanged(actionObject, reason, actions.length - index));
+                        break;
+                    }
+                }
 
-            if (!result.success) {
-                logger.warn('Stopping batch — action failed', {
-                    action: actionObject.action,
-                });
-                break;
+                const result = await this.execute(actionObject);
+                results.push(result);
+
+                if (!result.success) {
+                    logger.warn('Stopping batch — action failed', {
+                        action: actionObject.action,
+                    });
+                    break;
+                }
+
+                const next = actions[index + 1];
+                if (result.dialogOpened && next) {
+                    const reason = `a ${result.dialogOpened.type} dialog opened`;
+                    results.push(this.pageChanged(next, reason, actions.length - index - 1));
+                    break;
+                }
             }
+        } finally {
+            watch.stop();
         }
 
         return results;
     }
 
+    /**
+     * The marker that ends a batch in place of `actionObject` and the
+     * `skipped` actions from it on.
+     */
+    pageChanged(actionObject, reason, skipped) {
+        logger.info('Stopping batch — page changed, re-observe', { reason, skipped });
+        return {
+            action: actionObject.action,
+            pageChanged: true,
+            reason,
+            url: this.page.url(),
+            skipped,
+        };
+    }
+
     static listSupportedActions() {
         return Object.keys(ACTION_HANDLERS);
     }
+
+    static getActionSchema(action) {
+        return ACTION_HANDLERS[action]?.schema || null;
+    }
+
+    /**
+     * Every registered action with its prompt lines, parameter schema and,
+     * for plugin actions, the file it was loaded from.
+     */
+    static describeActions() {
+        return Object.entries(ACTION_HANDLERS).map(([name, { schema, description, plugin = null }]) => ({
+            name,
+            description,
+            schema,
+            plugin,
+        }));
+    }
+
+    /**
+     * Adds an action at runtime. `handler` is called as handler(page, params,
+     * executor) like the built-ins; `description` is one or more example
+     * lines for the system prompt. `plugin` names where it came from.
+     * Throws on an invalid definition — including a schema that does not
+     * compile — or a name that is already taken.
+     */
+    static registerAction(name, { handler, schema, description } = {}, { plugin = 'runtime' } = {}) {
+        const errors = [];
+        if (typeof name !== 'string' || !ACTION_NAME_PATTERN.test(name)) {
+            errors.push('name must be lowercase letters, digits and underscores');
+        } else if (ACTION_HANDLERS[name]) {
+            errors.push(`"${name}" is already registered`);
+        }
+        if (typeof handler !== 'function') {
+            errors.push('handler must be a function');
+        }
+        if (!schema || typeof schema !== 'object' || schema.type !== 'object') {
+            errors.push('schema must be a JSON Schema with type "object"');
+        } else {
+            // Caught here, or every plan using the action would fail validation later
+            try {
+                compileActionSchema(schema);
+            } catch (error) {
+                errors.push(`schema does not compile: ${error.message}`);
+            }
+        }
+        const lines = [description].flat();
+        if (lines.length === 0 || !lines.every((line) => typeof line === 'string' && line.trim())) {
+            errors.push('description must be a non-empty string or array of strings');
+        }
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid action${typeof name === 'string' ? ` "${name}"` : ''}: ${errors.join('; ')}`);
+        }
+
+        ACTION_HANDLERS[name] = { handler, schema, description: lines, plugin };
+        logger.info('Action registered', { action: name, plugin });
+    }
+
+    /**
+     * Removes a runtime-registered action; built-ins cannot be removed.
+     */
+    static unregisterAction(name) {
+        if (!ACTION_HANDLERS[name]?.plugin) return false;
+        delete ACTION_HANDLERS[name];
+        return true;
+    }
 }
@@ -0,0 +1,121 @@
+import config from '../config.js';
+
+// Below this many added/removed elements a change never counts as large
+const MIN_CHANGED_ELEMENTS = 50;
+// Longest wait for the in-page watch; a busy or blocked page must not stall the batch
+const WATCH_EVALUATE_TIMEOUT_MS = 2000;
+
+/**
+ * Notices when the page a batch was planned against is gone: the active tab
+ * switched, the URL changed (ignoring the #fragment), the document reloaded,
+ * or a large share of its elements was added or removed — e.g. a SPA route
+ * change. ActionExecutor starts one per batch and checks it between actions.
+ *
+ * While a deferred dialog is open the page's JavaScript is blocked, so the
+ * element count is neither started nor read then — only the URL and tab are
+ * compared.
+ */
+export default class PageChangeWatch {
+    constructor(executor, { ratio = config.agent.stalePageRatio } = {}) {
+        this.executor = executor;
+        this.page = executor.page;
+        this.ratio = ratio;
+        this.url = withoutHash(this.page.url());
+        this.reloaded = false;
+        this.onLoad = () => {
+            this.reloaded = true;
+        };
+        this.baseline = null;
+    }
+
+    async start() {
+        this.page.on?.('domcontentloaded', this.onLoad);
+        if (!this.dialogOpen(this.page)) {
+            this.baseline = (await evaluateSafely(this.page, startDomWatch)) ?? null;
+        }
+        return this;
+    }
+
+    /**
+     * Why the page no longer matches what was observed, or null if it still does.
+     */
+    async check() {
+        const { page } = this.executor;
+        if (page !== this.page) return `the active tab changed to ${page.url()}`;
+
+        const url = withoutHash(page.url());
+        if (url !== this.url) return `the URL changed to ${page.url()}`;
+        if (this.reloaded) return 'the page reloaded';
+        if (this.baseline === null || this.dialogOpen(page)) return null;
+
+        const changed = await evaluateSafely(page, readDomWatch);
+        if (changed === undefined) return null;
+        if (changed === null) return 'the document was replaced';
+        if (changed >= Math.max(MIN_CHANGED_ELEMENTS, this.baseline * this.ratio)) {
+            return `${changed} elements were added or removed (the page had ${this.baseline})`;
+        }
+        return null;
+    }
+
+    dialogOpen(page) {
+        return Boolean(this.executor.tabs?.pendingDialog(page));
+    }
+
+    stop() {
+        this.page.off?.('domcontentloaded', this.onLoad);
+        if (this.baseline !== null && !this.dialogOpen(this.page)) {
+            evaluateSafely(this.page, stopDomWatch);
+        }
+    }
+}
+
+function withoutHash(url) {
+    const hash = url.indexOf('#');
+    return hash === -1 ? url : url.slice(0, hash);
+}
+
+// Mid-navigation evaluate throws; mock pages may not have it at all. A page
+// too busy to answer in time gives undefined — nothing is known about it.
+async function evaluateSafely(page, fn) {
+    let timer;
+    const timeout = new Promise((resolve) => {
+        timer = setTimeout(() => resolve(undefined), WATCH_EVALUATE_TIMEOUT_MS);
+    });
+    try {
+        return await Promise.race([page.evaluate(fn), timeout]);
+    } catch {
+        return null;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// The functions below run in the page. Each counts whole subtrees, so
+// swapping out one big container registers as a large change.
+
+function startDomWatch() {
+    window.__yocrawlDomWatch?.observer.disconnect();
+
+    const watch = { changed: 0 };
+    const size = (node) => (node.nodeType === 1 ? 1 + node.getElementsByTagName('*').length : 0);
+    watch.observer = new MutationObserver((records) => {
+        for (const record of records) {
+            for (const node of record.addedNodes) watch.changed += size(node);
+            for (const node of record.removedNodes) watch.changed += size(node);
+        }
+    });
+    watch.observer.observe(document.documentElement, { childList: true, subtree: true });
+    window.__yocrawlDomWatch = watch;
+
+    return document.getElementsByTagName('*').length;
+}
+
+// null means the watch is gone — a new document replaced the old one
+function readDomWatch() {
+    return window.__yocrawlDomWatch ? window.__yocrawlDomWatch.changed : null;
+}
+
+function stopDomWatch() {
+    window.__yocrawlDomWatch?.observer.disconnect();
+    delete window.__yocrawlDomWatch;
+}
@@ -0,0 +1,17 @@
+import logger from '../../logger.js';
+
+export const schema = { type: 'object', properties: {} };
+
+export const description = '{ "action": "back" }  (browser back button)';
+
+export default async function executeBack(page) {
+    const from = page.url();
+    logger.info('Going back', { from });
+    const response = await page.goBack({ waitUntil: 'domcontentloaded' });
+
+    // null also means a same-document (hash / pushState) step, which does change the URL
+    if (response === null && page.url() === from) {
+        throw new Error('Nothing to go back to — this tab has no previous page');
+    }
+    return { wentBackTo: page.url() };
+}
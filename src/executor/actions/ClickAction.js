@@ -1,9 +1,17 @@
 import logger from '../../logger.js';
+import { targetSchema } from '../targetSchema.js';
 
-export default async function executeClick(page, params) {
-    const { selector } = params;
-    logger.info('Clicking', { selector });
-    await page.click(selector, { timeout: 5000 });
+export const schema = targetSchema();
+
+export const description = [
+    '{ "action": "click", "element": 12 }',
+    '{ "action": "click", "selector": "#pay-button", "frame": ["iframe#checkout"] }',
+];
+
+export default async function executeClick(page, params, executor) {
+    const { target, ref } = await executor.resolveTarget(params);
+    logger.info('Clicking', { target: ref });
+    await target.click({ timeout: 5000 });
     await page.waitForLoadState('domcontentloaded').catch(() => { });
-    return { clicked: selector };
+    return { clicked: ref };
 }
@@ -0,0 +1,33 @@
+import logger from '../../logger.js';
+
+export const schema = {
+    type: 'object',
+    properties: {
+        x: { type: 'number', minimum: 0 },
+        y: { type: 'number', minimum: 0 },
+        button: { enum: ['left', 'right', 'middle'] },
+        clickCount: { type: 'integer', minimum: 1, maximum: 3 },
+    },
+    required: ['x', 'y'],
+};
+
+export const description =
+    '{ "action": "clickat", "x": 640, "y": 360, "button": "left", "clickCount": 1 }  (viewport pixels — for canvas and other unlisted targets)';
+
+/**
+ * Clicks at viewport coordinates, e.g. a spot on a canvas or map that has
+ * no element of its own.
+ */
+export default async function executeClickAt(page, params) {
+    const { x, y, button = 'left', clickCount = 1 } = params;
+
+    const viewport = page.viewportSize();
+    if (viewport && (x >= viewport.width || y >= viewport.height)) {
+        throw new Error(`(${x}, ${y}) is outside the ${viewport.width}x${viewport.height} viewport`);
+    }
+
+    logger.info('Clicking at coordinates', { x, y, button, clickCount });
+    await page.mouse.click(x, y, { button, clickCount });
+    await page.waitForLoadState('domcontentloaded').catch(() => { });
+    return { clickedAt: { x, y }, button };
+}
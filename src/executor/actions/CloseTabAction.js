@@ -0,0 +1,22 @@
+import logger from '../../logger.js';
+
+export const schema = {
+    type: 'object',
+    properties: {
+        index: { type: 'integer', minimum: 0 },
+    },
+};
+
+export const description = '{ "action": "closetab", "index": 1 }  (without "index" it closes the active tab)';
+
+/**
+ * Closes the given tab, or the active one. Closing the active tab makes
+ * the most recently opened remaining tab active.
+ */
+export default async function executeCloseTab(page, params, executor) {
+    const tabs = executor.getTabs();
+    const index = params.index ?? tabs.pages.indexOf(page);
+    logger.info('Closing tab', { index });
+    await tabs.closeTab(index);
+    return { closed: index, activeUrl: tabs.page.url() };
+}
@@ -0,0 +1,23 @@
+import logger from '../../logger.js';
+
+export const schema = {
+    type: 'object',
+    properties: {
+        accept: { type: 'boolean' },
+        // The answer for a prompt() dialog
+        text: { type: 'string' },
+    },
+    required: ['accept'],
+};
+
+export const description = '{ "action": "dialog", "accept": true, "text": "answer for a prompt()" }  (only for an open dialog)';
+
+/**
+ * Answers the dialog that was deferred to the model on the active tab.
+ */
+export default async function executeDialog(page, params, executor) {
+    const { accept, text } = params;
+    logger.info('Answering dialog', { accept, text });
+    const { type, message } = await executor.getTabs().answerDialog({ accept, text });
+    return { type, message, accepted: accept, ...(text !== undefined && accept ? { text } : {}) };
+}
@@ -0,0 +1,14 @@
+import logger from '../../logger.js';
+import { targetSchema } from '../targetSchema.js';
+
+export const schema = targetSchema();
+
+export const description = '{ "action": "dblclick", "element": 12 }';
+
+export default async function executeDoubleClick(page, params, executor) {
+    const { target, ref } = await executor.resolveTarget(params);
+    logger.info('Double-clicking', { target: ref });
+    await target.dblclick({ timeout: 5000 });
+    await page.waitForLoadState('domcontentloaded').catch(() => { });
+    return { doubleClicked: ref };
+}
@@ -0,0 +1,62 @@
+import logger from '../../logger.js';
+import { targetSchema } from '../targetSchema.js';
+
+// Intermediate mouse moves, so drag libraries see a real drag rather than a jump
+const DRAG_STEPS = 10;
+
+export const schema = {
+    ...targetSchema({
+        to: targetSchema(),
+        offset: {
+            type: 'object',
+            properties: {
+                x: { type: 'number' },
+                y: { type: 'number' },
+            },
+            required: ['x', 'y'],
+        },
+    }),
+    oneOf: [{ required: ['to'] }, { required: ['offset'] }],
+};
+
+export const description = [
+    '{ "action": "drag", "element": 4, "to": { "element": 9 } }  (drag and drop onto another element)',
+    '{ "action": "drag", "element": 4, "offset": { "x": 120, "y": 0 } }  (drag by pixels, e.g. a slider)',
+];
+
+/**
+ * Drags the target onto another element ("to") or by a pixel offset, with
+ * real mouse events from the centre of the source. Works for element
+ * handles and locators alike, and for sliders, kanban cards and sortable lists.
+ */
+export default async function executeDrag(page, params, executor) {
+    const { to, offset } = params;
+    const source = await executor.resolveTarget(params);
+    const start = await centreOf(source);
+
+    let end;
+    let destination;
+    if (to) {
+        destination = await executor.resolveTarget(to);
+        end = await centreOf(destination);
+    } else {
+        end = { x: start.x + offset.x, y: start.y + offset.y };
+    }
+
+    logger.info('Dragging', { from: source.ref, to: destination?.ref ?? offset });
+    await page.mouse.move(start.x, start.y);
+    await page.mouse.down();
+    await page.mouse.move(end.x, end.y, { steps: DRAG_STEPS });
+    await page.mouse.up();
+
+    return { dragged: source.ref, to: destination?.ref ?? offset };
+}
+
+async function centreOf({ target, ref }) {
+    await target.scrollIntoViewIfNeeded({ timeout: 5000 }).catch(() => { });
+    const box = await target.boundingBox();
+    if (!box) {
+        throw new Error(`${ref} is not visible — it has no position to drag from or to`);
+    }
+    return { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+}
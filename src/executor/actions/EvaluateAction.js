@@ -0,0 +1,93 @@
+import logger from '../../logger.js';
+
+const MAX_SCRIPT_LENGTH = 5000;
+// After a timeout: how long a trivial evaluate may take before the page counts as stuck
+const RESPONSIVE_PROBE_MS = 1000;
+
+export const schema = {
+    type: 'object',
+    properties: {
+        script: { type: 'string', minLength: 1, maxLength: MAX_SCRIPT_LENGTH },
+    },
+    required: ['script'],
+};
+
+export const description =
+    '{ "action": "evaluate", "script": "[...document.querySelectorAll(\'.price\')].map((el) => el.textContent)" }  (page JavaScript expression; the result must be JSON-serialisable)';
+
+/**
+ * Runs a JavaScript expression in the page, if the session's evaluatePolicy
+ * allows it. The script is logged and echoed verbatim in the result — the
+ * failure result too, as `details.script` — so the step history shows
+ * exactly what ran. Results over `maxResultBytes` of JSON come back as a
+ * truncated preview instead of a value.
+ *
+ * A script still running after `timeoutMs` cannot be interrupted: if it
+ * keeps the page's JavaScript busy (an endless loop), the tab is replaced
+ * by a fresh one at the same URL so later actions don't hang behind it.
+ */
+export default async function executeEvaluate(page, params, executor) {
+    const { script } = params;
+    const { enabled, maxResultBytes, timeoutMs } = executor.evaluatePolicy;
+    if (!enabled) {
+        throw new Error('The "evaluate" action is disabled for this session — use the other actions instead');
+    }
+
+    logger.info('Evaluating page script', { script });
+    let value;
+    try {
+        value = (await withTimeout(page.evaluate(script), timeoutMs)) ?? null;
+    } catch (error) {
+        if (error.name === 'ScriptTimeoutError') {
+            error.message += await unblockPage(page, executor);
+        }
+        error.details = { script };
+        throw error;
+    }
+
+    const json = JSON.stringify(value);
+    const bytes = Buffer.byteLength(json);
+    if (bytes > maxResultBytes) {
+        logger.info('Script result truncated', { bytes, maxResultBytes });
+        return { script, truncated: true, bytes, preview: truncateBytes(json, maxResultBytes) };
+    }
+    return { script, value, bytes };
+}
+
+// page.evaluate has no timeout of its own; a never-settling promise would stall the step
+function withTimeout(promise, timeoutMs) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error(`Script did not finish within ${timeoutMs}ms`);
+            error.name = 'ScriptTimeoutError';
+            reject(error);
+        }, timeoutMs);
+    });
+    // Settles after the race is lost; nobody is listening then
+    promise.catch(() => { });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * A promise that never settles is harmless; a busy main thread is not. If
+ * the page no longer answers a trivial evaluate, swap the tab for a fresh one.
+ * Returns a note for the error message.
+ */
+async function unblockPage(page, executor) {
+    if (!executor.tabs) return '';
+    const responsive = await withTimeout(page.evaluate('1'), RESPONSIVE_PROBE_MS).then(
+        () => true,
+        () => false
+    );
+    if (responsive) return '';
+
+    logger.warn('Page is stuck after a script timeout — replacing the tab', { url: page.url() });
+    const fresh = await executor.tabs.replaceTab(page);
+    return ` and kept the page busy — the tab was reopened at ${fresh.url()}`;
+}
+
+// Cut by UTF-8 bytes, dropping a character split at the cut
+function truncateBytes(text, maxBytes) {
+    return Buffer.from(text).subarray(0, maxBytes).toString().replace(/\uFFFD$/, '');
+}
@@ -1,14 +1,188 @@
 import logger from '../../logger.js';
+import { targetSchema } from '../targetSchema.js';
 
-export default async function executeExtract(page, params) {
-    const { selector, attribute } = params;
-    logger.info('Extracting content', { selector, attribute });
+const DEFAULT_ROW_LIMIT = 50;
+const MAX_ROW_LIMIT = 500;
+const DEFAULT_MAX_PAGES = 5;
+// How long to wait for the rows to change after clicking "next"
+const PAGE_CHANGE_TIMEOUT_MS = 5000;
+const PAGE_CHANGE_POLL_MS = 250;
+
+// A field is a sub-selector (its text) or { selector?, attribute? }; no selector means the row itself
+const fieldSchema = {
+    anyOf: [
+        { type: 'string', minLength: 1 },
+        {
+            type: 'object',
+            properties: {
+                selector: { type: 'string', minLength: 1 },
+                attribute: { type: 'string', minLength: 1 },
+            },
+            additionalProperties: false,
+        },
+    ],
+};
+
+export const schema = {
+    ...targetSchema({
+        attribute: { type: 'string', minLength: 1 },
+        fields: { type: 'object', minProperties: 1, additionalProperties: fieldSchema },
+        table: { type: 'boolean' },
+        limit: { type: 'integer', minimum: 1, maximum: MAX_ROW_LIMIT },
+        next: { type: 'string', minLength: 1 },
+        maxPages: { type: 'integer', minimum: 1, maximum: 20 },
+    }),
+    // Rows are every match of the selector, and pagination re-reads by selector
+    dependencies: { fields: ['selector'], next: ['selector'] },
+};
+
+export const description = [
+    '{ "action": "extract", "element": 7, "attribute": "href" }',
+    '{ "action": "extract", "selector": "css-selector" }',
+    '{ "action": "extract", "selector": ".product-card", "fields": { "name": "h2", "price": ".price", "url": { "selector": "a", "attribute": "href" } }, "limit": 50 }  (one row per match)',
+    '{ "action": "extract", "selector": "table#results", "table": true, "next": "a.next-page", "maxPages": 3 }  (rows keyed by column header)',
+];
+
+export default async function executeExtract(page, params, executor) {
+    if (params.fields || params.table) {
+        return extractRows(page, params, executor);
+    }
+
+    const { attribute } = params;
+    const { target, ref } = await executor.resolveTarget(params);
+    logger.info('Extracting content', { target: ref, attribute });
 
     if (attribute) {
-        const value = await page.getAttribute(selector, attribute);
+        const value = await target.getAttribute(attribute);
         return { extracted: value };
     }
 
-    const text = await page.textContent(selector);
+    const text = await target.textContent();
     return { extracted: (text || '').trim() };
 }
+
+/**
+ * Reads many rows at once: every match of the selector as a row of `fields`,
+ * or a <table> as header-keyed rows. With `next`, clicks through up to
+ * `maxPages` pages until `limit` rows are collected.
+ */
+async function extractRows(page, params, executor) {
+    const { fields, table, next, frame, limit = DEFAULT_ROW_LIMIT } = params;
+    const maxPages = next ? (params.maxPages ?? DEFAULT_MAX_PAGES) : 1;
+    if (fields && table) {
+        throw new Error('Use either "fields" or "table", not both');
+    }
+
+    const readPage = fields
+        ? () => executor.scope(frame).locator(params.selector).evaluateAll(readFields, fields)
+        : () => readTable(params, executor);
+
+    logger.info('Extracting rows', {
+        target: params.selector ?? `[${params.element}]`,
+        mode: fields ? 'fields' : 'table',
+        limit,
+        maxPages,
+    });
+
+    const rows = [];
+    let pageRows = await readPage();
+    let pages = 1;
+    rows.push(...pageRows);
+
+    while (rows.length < limit && pages < maxPages) {
+        const nextLink = executor.scope(frame).locator(next).first();
+        if (!(await isClickable(nextLink))) break;
+
+        await nextLink.click({ timeout: 5000 });
+        pageRows = await waitForNewRows(page, readPage, pageRows);
+        if (!pageRows) break;
+
+        pages++;
+        rows.push(...pageRows);
+    }
+
+    return {
+        rows: rows.slice(0, limit),
+        count: Math.min(rows.length, limit),
+        pages,
+        ...(rows.length > limit && { truncated: true }),
+    };
+}
+
+async function readTable(params, executor) {
+    const { target, ref } = await executor.resolveTarget(params);
+    const rows = await target.evaluate(readTableRows);
+    if (!rows) {
+        throw new Error(`${ref} is not a <table> — use "fields" for other layouts`);
+    }
+    return rows;
+}
+
+async function isClickable(locator) {
+    if ((await locator.count()) === 0) return false;
+    const disabled = await locator
+        .evaluate((el) => el.disabled === true || el.getAttribute('aria-disabled') === 'true')
+        .catch(() => true);
+    return !disabled;
+}
+
+/**
+ * "next" may navigate or re-render in place — poll until the rows differ
+ * from the previous page. Null if they never do (last page, or a dead link).
+ */
+async function waitForNewRows(page, readPage, previousRows) {
+    const previous = JSON.stringify(previousRows);
+    await page.waitForLoadState('domcontentloaded').catch(() => { });
+
+    for (let waited = 0; waited <= PAGE_CHANGE_TIMEOUT_MS; waited += PAGE_CHANGE_POLL_MS) {
+        // Reading mid-navigation throws; just try again
+        const rows = await readPage().catch(() => null);
+        if (rows && rows.length > 0 && JSON.stringify(rows) !== previous) return rows;
+        await page.waitForTimeout(PAGE_CHANGE_POLL_MS);
+    }
+
+    logger.info('Pagination stopped — rows did not change after "next"');
+    return null;
+}
+
+// Runs in the page: one row object per container element
+function readFields(containers, fields) {
+    const clean = (value) => (value == null ? null : value.replace(/\s+/g, ' ').trim());
+
+    return containers.map((container) => {
+        const row = {};
+        for (const [key, field] of Object.entries(fields)) {
+            const { selector, attribute } = typeof field === 'string' ? { selector: field } : field;
+            const el = selector ? container.querySelector(selector) : container;
+            row[key] = !el ? null : clean(attribute ? el.getAttribute(attribute) : el.innerText ?? el.textContent);
+        }
+        return row;
+    });
+}
+
+// Runs in the page: body rows keyed by the header cells (thead, or a first row of <th>)
+function readTableRows(table) {
+    if (table.tagName !== 'TABLE') return null;
+
+    const text = (cell) => cell.innerText.replace(/\s+/g, ' ').trim();
+    const allRows = [...table.rows];
+
+    let headerRow = table.tHead?.rows[0] || null;
+    if (!headerRow && allRows[0] && [...allRows[0].cells].every((cell) => cell.tagName === 'TH')) {
+        headerRow = allRows[0];
+    }
+
+    const keys = [];
+    for (const [i, cell] of [...(headerRow?.cells || [])].entries()) {
+        const base = text(cell) || `column${i + 1}`;
+        let key = base;
+        for (let n = 2; keys.includes(key); n++) key = `${base}_${n}`;
+        keys.push(key);
+    }
+
+    return allRows
+        .filter((row) => row !== headerRow && row.parentElement !== table.tHead && row.cells.length > 0)
+        .map((row) =>
+            Object.fromEntries([...row.cells].map((cell, i) => [keys[i] || `column${i + 1}`, text(cell)]))
+        );
+}
@@ -0,0 +1,16 @@
+import logger from '../../logger.js';
+
+export const schema = { type: 'object', properties: {} };
+
+export const description = '{ "action": "forward" }  (browser forward button)';
+
+export default async function executeForward(page) {
+    const from = page.url();
+    logger.info('Going forward', { from });
+    const response = await page.goForward({ waitUntil: 'domcontentloaded' });
+
+    if (response === null && page.url() === from) {
+        throw new Error('Nothing to go forward to — this tab has no next page');
+    }
+    return { wentForwardTo: page.url() };
+}
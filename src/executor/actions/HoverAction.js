@@ -1,8 +1,13 @@
 import logger from '../../logger.js';
+import { targetSchema } from '../targetSchema.js';
 
-export default async function executeHover(page, params) {
-    const { selector } = params;
-    logger.info('Hovering', { selector });
-    await page.hover(selector, { timeout: 5000 });
-    return { hovered: selector };
+export const schema = targetSchema();
+
+export const description = '{ "action": "hover", "element": 9 }';
+
+export default async function executeHover(page, params, executor) {
+    const { target, ref } = await executor.resolveTarget(params);
+    logger.info('Hovering', { target: ref });
+    await target.hover({ timeout: 5000 });
+    return { hovered: ref };
 }
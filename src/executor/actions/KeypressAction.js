@@ -1,5 +1,15 @@
 import logger from '../../logger.js';
 
+export const schema = {
+    type: 'object',
+    properties: {
+        key: { type: 'string', minLength: 1 },
+    },
+    required: ['key'],
+};
+
+export const description = '{ "action": "keypress", "key": "Enter" }';
+
 export default async function executeKeypress(page, params) {
     const { key } = params;
     logger.info('Pressing key', { key });
@@ -0,0 +1,10 @@
+export const schema = {
+    type: 'object',
+    properties: {},
+};
+
+export const description = '{ "action": "listtabs" }';
+
+export default async function executeListTabs(page, params, executor) {
+    return { tabs: await executor.getTabs().listTabs() };
+}
@@ -1,5 +1,15 @@
 import logger from '../../logger.js';
 
+export const schema = {
+    type: 'object',
+    properties: {
+        url: { type: 'string', minLength: 1 },
+    },
+    required: ['url'],
+};
+
+export const description = '{ "action": "navigate", "url": "https://..." }';
+
 export default async function executeNavigate(page, params) {
     const { url } = params;
     logger.info('Navigating', { url });
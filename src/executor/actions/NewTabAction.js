@@ -0,0 +1,18 @@
+import logger from '../../logger.js';
+
+export const schema = {
+    type: 'object',
+    properties: {
+        url: { type: 'string', minLength: 1 },
+    },
+};
+
+export const description = '{ "action": "newtab", "url": "https://..." }';
+
+export default async function executeNewTab(page, params, executor) {
+    const { url } = params;
+    logger.info('Opening tab', { url });
+    const tabs = executor.getTabs();
+    const opened = await tabs.openTab(url);
+    return { opened: tabs.pages.indexOf(opened), url: opened.url() };
+}
@@ -0,0 +1,11 @@
+import logger from '../../logger.js';
+
+export const schema = { type: 'object', properties: {} };
+
+export const description = '{ "action": "reload" }';
+
+export default async function executeReload(page) {
+    logger.info('Reloading', { url: page.url() });
+    await page.reload({ waitUntil: 'domcontentloaded' });
+    return { reloaded: page.url() };
+}
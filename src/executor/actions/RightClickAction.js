@@ -0,0 +1,13 @@
+import logger from '../../logger.js';
+import { targetSchema } from '../targetSchema.js';
+
+export const schema = targetSchema();
+
+export const description = '{ "action": "rightclick", "element": 12 }  (opens the context menu)';
+
+export default async function executeRightClick(page, params, executor) {
+    const { target, ref } = await executor.resolveTarget(params);
+    logger.info('Right-clicking', { target: ref });
+    await target.click({ button: 'right', timeout: 5000 });
+    return { rightClicked: ref };
+}
@@ -3,6 +3,17 @@ import { join } from 'path';
 import config from '../../config.js';
 import logger from '../../logger.js';
 
+export const schema = {
+    type: 'object',
+    properties: {
+        // Used as a file name — no path separators
+        name: { type: 'string', pattern: '^[^/\\\\]+$' },
+        fullPage: { type: 'boolean' },
+    },
+};
+
+export const description = '{ "action": "screenshot", "name": "descriptive-name", "fullPage": false }';
+
 export default async function executeScreenshot(page, params) {
     const { name = `screenshot-${Date.now()}`, fullPage = false } = params;
 
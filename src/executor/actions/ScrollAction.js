@@ -1,5 +1,15 @@
 import logger from '../../logger.js';
 
+export const schema = {
+    type: 'object',
+    properties: {
+        direction: { enum: ['up', 'down'] },
+        amount: { type: 'number', minimum: 0 },
+    },
+};
+
+export const description = '{ "action": "scroll", "direction": "down"|"up", "amount": 500 }';
+
 export default async function executeScroll(page, params) {
     const { direction = 'down', amount = 500 } = params;
     const delta = direction === 'up' ? -amount : amount;
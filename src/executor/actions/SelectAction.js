@@ -1,8 +1,21 @@
 import logger from '../../logger.js';
+import { targetSchema } from '../targetSchema.js';
 
-export default async function executeSelect(page, params) {
-    const { selector, value } = params;
-    logger.info('Selecting option', { selector, value });
-    await page.selectOption(selector, value);
-    return { selected: value, in: selector };
+export const schema = targetSchema(
+    {
+        value: {
+            anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }],
+        },
+    },
+    ['value']
+);
+
+export const description = '{ "action": "select", "element": 5, "value": "option-value" }';
+
+export default async function executeSelect(page, params, executor) {
+    const { value } = params;
+    const { target, ref } = await executor.resolveTarget(params);
+    logger.info('Selecting option', { target: ref, value });
+    await target.selectOption(value);
+    return { selected: value, in: ref };
 }
@@ -0,0 +1,18 @@
+import logger from '../../logger.js';
+
+export const schema = {
+    type: 'object',
+    properties: {
+        index: { type: 'integer', minimum: 0 },
+    },
+    required: ['index'],
+};
+
+export const description = '{ "action": "switchtab", "index": 1 }';
+
+export default async function executeSwitchTab(page, params, executor) {
+    const { index } = params;
+    logger.info('Switching tab', { index });
+    const active = await executor.getTabs().switchTab(index);
+    return { switchedTo: index, url: active.url() };
+}
@@ -1,13 +1,124 @@
 import logger from '../../logger.js';
+import { targetSchema } from '../targetSchema.js';
 
-export default async function executeType(page, params) {
-    const { selector, text, clearFirst = true } = params;
-    logger.info('Typing', { selector, textLength: text.length });
+const DEFAULT_KEY_DELAY_MS = 50;
+// How long to wait for a suggestion list after typing
+const SUGGESTION_TIMEOUT_MS = 3000;
+const SUGGESTION_POLL_MS = 100;
+const MAX_SUGGESTIONS = 10;
 
-    if (clearFirst) {
-        await page.click(selector, { clickCount: 3 });
+export const schema = targetSchema(
+    {
+        text: { type: 'string' },
+        clearFirst: { type: 'boolean' },
+        mode: { enum: ['fill', 'keys'] },
+        delayMs: { type: 'integer', minimum: 0, maximum: 1000 },
+        suggestions: {
+            anyOf: [{ type: 'boolean' }, { type: 'string', minLength: 1 }],
+        },
+    },
+    ['text']
+);
+
+export const description = [
+    '{ "action": "type", "element": 3, "text": "...", "clearFirst": true }',
+    '{ "action": "type", "element": 3, "text": "berl", "mode": "keys", "delayMs": 50, "suggestions": true }  (key by key, for search-as-you-type; returns the suggestions that appear)',
+];
+
+/**
+ * "fill" (default) sets the value in one go. "keys" types key by key with
+ * `delayMs` between keystrokes, firing the keyboard events autocomplete
+ * widgets listen for. With `suggestions` (true to detect the list, or the
+ * list's CSS selector) the visible suggestions are returned, each with a
+ * selector to click on the next step.
+ */
+export default async function executeType(page, params, executor) {
+    const { text, clearFirst = true, mode = 'fill', delayMs = DEFAULT_KEY_DELAY_MS, suggestions } = params;
+    const { target, ref } = await executor.resolveTarget(params);
+    logger.info('Typing', { target: ref, textLength: text.length, mode });
+
+    if (mode === 'keys') {
+        if (clearFirst) {
+            await target.fill('');
+        }
+        await target.focus();
+        await page.keyboard.type(text, { delay: delayMs });
+    } else {
+        if (clearFirst) {
+            await target.click({ clickCount: 3 });
+        }
+        await target.fill(text);
+    }
+
+    const result = { typed: text.length, into: ref };
+    if (mode === 'keys') result.mode = mode;
+    if (suggestions) {
+        result.suggestions = await waitForSuggestions(page, target, suggestions === true ? null : suggestions);
     }
+    return result;
+}
+
+/**
+ * Polls until a suggestion list shows up; an empty array if none does in time.
+ */
+async function waitForSuggestions(page, target, listSelector) {
+    for (let waited = 0; waited <= SUGGESTION_TIMEOUT_MS; waited += SUGGESTION_POLL_MS) {
+        const found = await target
+            .evaluate(readSuggestions, { listSelector, max: MAX_SUGGESTIONS })
+            .catch(() => null);
+        if (found) {
+            logger.info('Suggestions appeared', { count: found.length });
+            return found;
+        }
+        await page.waitForTimeout(SUGGESTION_POLL_MS);
+    }
+
+    logger.info('No suggestions appeared', { listSelector });
+    return [];
+}
+
+// Runs in the page. Finds the suggestion list — the given selector, the
+// input's aria-controls/aria-owns target, or the first visible listbox — and
+// returns [{ text, selector }] for its visible items. Item selectors are
+// scoped to that one list, so other open lists don't shift the nth= count.
+// Falls back to the input's <datalist>, whose values can only be typed.
+function readSuggestions(input, { listSelector, max }) {
+    const visible = (el) => {
+        const rect = el.getBoundingClientRect();
+        return rect.width > 0 && rect.height > 0 && window.getComputedStyle(el).visibility !== 'hidden';
+    };
+    const clean = (value) => (value || '').replace(/\s+/g, ' ').trim().slice(0, 100);
+
+    let list;
+    let listRef;
+    if (listSelector) {
+        list = [...document.querySelectorAll(listSelector)].find(visible);
+        listRef = `${listSelector} >> visible=true >> nth=0`;
+    } else {
+        const owned = `${input.getAttribute('aria-controls') || ''} ${input.getAttribute('aria-owns') || ''}`
+            .split(/\s+/)
+            .filter(Boolean)
+            .map((id) => document.getElementById(id))
+            .find((el) => el && visible(el));
+        list = owned || [...document.querySelectorAll('[role="listbox"]')].find(visible);
+        listRef = owned ? `[id="${owned.id}"]` : '[role="listbox"] >> visible=true >> nth=0';
+    }
+
+    if (!list) {
+        const options = !listSelector && input.list ? [...input.list.options].slice(0, max) : [];
+        if (options.length === 0) return null;
+        return options.map((option) => ({ text: clean(option.value || option.label), selector: null }));
+    }
+
+    let itemSelector = ':scope > *';
+    if (list.querySelector('[role="option"]')) itemSelector = '[role="option"]';
+    else if (list.querySelector('li')) itemSelector = 'li';
+
+    const suggestions = [...list.querySelectorAll(itemSelector)]
+        .map((item, index) => ({ text: clean(item.innerText), visible: visible(item), index }))
+        .filter((item) => item.visible && item.text)
+        .slice(0, max)
+        .map(({ text, index }) => ({ text, selector: `${listRef} >> ${itemSelector} >> nth=${index}` }));
 
-    await page.fill(selector, text);
-    return { typed: text.length, into: selector };
+    return suggestions.length > 0 ? suggestions : null;
 }
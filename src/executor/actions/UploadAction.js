@@ -0,0 +1,64 @@
+import { access, readdir } from 'fs/promises';
+import { isAbsolute, relative, resolve } from 'path';
+import config from '../../config.js';
+import logger from '../../logger.js';
+import { targetSchema } from '../targetSchema.js';
+
+export const schema = targetSchema(
+    {
+        files: {
+            type: 'array',
+            minItems: 1,
+            items: { type: 'string', minLength: 1 },
+        },
+    },
+    ['files']
+);
+
+export const description = '{ "action": "upload", "element": 4, "files": ["invoice.pdf"] }  (names from the uploads directory)';
+
+/**
+ * Attaches files from the uploads directory. The target is either the
+ * <input type=file> itself or a button that opens a file chooser.
+ */
+export default async function executeUpload(page, params, executor) {
+    const paths = await Promise.all(params.files.map(resolveInputFile));
+    const { target, ref } = await executor.resolveTarget(params);
+    logger.info('Uploading', { target: ref, files: params.files });
+
+    const isFileInput = await target.evaluate(
+        (el) => el.tagName === 'INPUT' && el.type === 'file'
+    );
+
+    if (isFileInput) {
+        await target.setInputFiles(paths);
+    } else {
+        const [chooser] = await Promise.all([
+            page.waitForEvent('filechooser', { timeout: 5000 }),
+            target.click({ timeout: 5000 }),
+        ]);
+        await chooser.setFiles(paths);
+    }
+
+    return { uploaded: params.files, to: ref };
+}
+
+async function resolveInputFile(name) {
+    const root = resolve(config.uploads.directory);
+    const path = resolve(root, name);
+    const inside = relative(root, path);
+
+    if (!inside || inside.startsWith('..') || isAbsolute(inside)) {
+        throw new Error(`"${name}" is outside the uploads directory`);
+    }
+
+    try {
+        await access(path);
+    } catch {
+        const available = await readdir(root).catch(() => []);
+        throw new Error(
+            `File "${name}" not found in the uploads directory. Available: ${available.join(', ') || 'none'}`
+        );
+    }
+    return path;
+}
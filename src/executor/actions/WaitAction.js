@@ -1,15 +1,97 @@
 import logger from '../../logger.js';
 
-export default async function executeWait(page, params) {
-    const { milliseconds = 1000, forSelector } = params;
+// Timeout for a condition when "milliseconds" is not given
+const DEFAULT_CONDITION_TIMEOUT_MS = 10_000;
 
-    if (forSelector) {
-        logger.info('Waiting for element', { selector: forSelector });
-        await page.waitForSelector(forSelector, { timeout: milliseconds });
-        return { waitedFor: forSelector };
+/**
+ * Page-state conditions: param name → how to wait for it and how to report it.
+ * "milliseconds" is the timeout for all of them.
+ */
+const CONDITIONS = {
+    forSelector: {
+        describe: (selector) => `element "${selector}" to appear`,
+        wait: (page, selector, timeout) => page.waitForSelector(selector, { timeout }),
+        result: (selector) => ({ waitedFor: 'selector', selector }),
+    },
+    forHidden: {
+        describe: (selector) => `element "${selector}" to disappear`,
+        wait: (page, selector, timeout) => page.waitForSelector(selector, { state: 'hidden', timeout }),
+        result: (selector) => ({ waitedFor: 'hidden', selector }),
+    },
+    forText: {
+        describe: (text) => `text "${text}" to appear`,
+        wait: (page, text, timeout) => page.getByText(text).first().waitFor({ state: 'visible', timeout }),
+        result: (text) => ({ waitedFor: 'text', text }),
+    },
+    forUrl: {
+        describe: (part) => `the URL to contain "${part}"`,
+        wait: (page, part, timeout) =>
+            page.waitForURL((url) => url.href.includes(part), { waitUntil: 'domcontentloaded', timeout }),
+        result: (part, page) => ({ waitedFor: 'url', url: page.url() }),
+    },
+    networkIdle: {
+        describe: () => 'the network to go idle',
+        wait: (page, _value, timeout, executor) =>
+            executor.tabs
+                ? executor.tabs.waitForNetworkIdle(page, { timeout })
+                : page.waitForLoadState('networkidle', { timeout }),
+        result: (_value, page) => ({ waitedFor: 'networkIdle', url: page.url() }),
+    },
+};
+
+export const schema = {
+    type: 'object',
+    properties: {
+        milliseconds: { type: 'number', minimum: 0 },
+        forSelector: { type: 'string', minLength: 1 },
+        forHidden: { type: 'string', minLength: 1 },
+        forText: { type: 'string', minLength: 1 },
+        forUrl: { type: 'string', minLength: 1 },
+        networkIdle: { const: true },
+    },
+};
+
+export const description = [
+    '{ "action": "wait", "milliseconds": 1000 }',
+    '{ "action": "wait", "forSelector": "css-selector", "milliseconds": 5000 }',
+    '{ "action": "wait", "forHidden": ".spinner" }  (until the element is gone or hidden)',
+    '{ "action": "wait", "forText": "Order confirmed" }',
+    '{ "action": "wait", "forUrl": "/checkout/success" }  (until the URL contains it)',
+    '{ "action": "wait", "networkIdle": true }',
+];
+
+/**
+ * Sleeps for "milliseconds", or waits for one page-state condition with
+ * "milliseconds" as the timeout (default 10s, also used for 0). Results say
+ * which condition was met and how long it took.
+ */
+export default async function executeWait(page, params, executor) {
+    const conditions = Object.keys(CONDITIONS).filter((name) => params[name] !== undefined);
+    if (conditions.length > 1) {
+        throw new Error(`Wait for one condition at a time — got ${conditions.join(', ')}`);
+    }
+
+    if (conditions.length === 0) {
+        const { milliseconds = 1000 } = params;
+        logger.info('Waiting', { milliseconds });
+        await page.waitForTimeout(milliseconds);
+        return { waited: milliseconds };
+    }
+
+    const [name] = conditions;
+    const condition = CONDITIONS[name];
+    const value = params[name];
+    // 0 would turn Playwright's timeout off and could wait forever
+    const timeout = params.milliseconds || DEFAULT_CONDITION_TIMEOUT_MS;
+
+    logger.info('Waiting for condition', { condition: name, value, timeout });
+    const started = Date.now();
+    try {
+        await condition.wait(page, value, timeout, executor);
+    } catch (error) {
+        if (error.name !== 'TimeoutError') throw error;
+        throw new Error(`Timed out after ${timeout}ms waiting for ${condition.describe(value)}`);
     }
 
-    logger.info('Waiting', { milliseconds });
-    await page.waitForTimeout(milliseconds);
-    return { waited: milliseconds };
+    return { ...condition.result(value, page), elapsedMs: Date.now() - started };
 }
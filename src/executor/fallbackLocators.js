@@ -0,0 +1,69 @@
+// Tags whose "text" is a form value, which getByText does not see
+const VALUE_TAGS = new Set(['input', 'textarea', 'select']);
+
+/**
+ * Alternative ways to find an observed element once its selector stops
+ * matching, in order of preference: by ARIA role and accessible name, by
+ * visible text, by label (aria-label or an associated <label>), by
+ * placeholder, by name attribute. `scope` is the page or the element's frame
+ * locator; `descriptor` is the element as observed.
+ * Each entry carries a Playwright-style selector string for the step history
+ * and builds its locator only when tried. Observed text and label text are
+ * cut to 80 characters; when they were (`textTruncated`, `labelTruncated`),
+ * they are matched as a substring.
+ */
+export function fallbackLocators(scope, descriptor) {
+    const {
+        tag,
+        role,
+        text,
+        textTruncated = false,
+        ariaLabel,
+        label,
+        labelTruncated = false,
+        placeholder,
+        name,
+    } = descriptor;
+    // Accessible name precedence: aria-label, then <label>, then (except for form fields) the text
+    const labelText = ariaLabel || label;
+    const exactLabel = Boolean(ariaLabel) || !labelTruncated;
+    const accessibleName = labelText || (VALUE_TAGS.has(tag) ? '' : text);
+    const exactName = labelText ? exactLabel : !textTruncated;
+    const candidates = [];
+
+    if (role && accessibleName) {
+        candidates.push({
+            strategy: 'role',
+            selector: `role=${role}[name=${JSON.stringify(accessibleName)}]`,
+            locate: () => scope.getByRole(role, { name: accessibleName, exact: exactName }),
+        });
+    }
+    if (text && !VALUE_TAGS.has(tag)) {
+        candidates.push({
+            strategy: 'text',
+            // Quoted is an exact match in text= selectors, unquoted a substring
+            selector: textTruncated ? `text=${text}` : `text=${JSON.stringify(text)}`,
+            locate: () => scope.getByText(text, { exact: !textTruncated }),
+        });
+    }
+    if (labelText) {
+        candidates.push({
+            strategy: 'label',
+            selector: exactLabel ? `label=${JSON.stringify(labelText)}` : `label=${labelText}`,
+            locate: () => scope.getByLabel(labelText, { exact: exactLabel }),
+        });
+    }
+    if (placeholder) {
+        candidates.push({
+            strategy: 'placeholder',
+            selector: `placeholder=${JSON.stringify(placeholder)}`,
+            locate: () => scope.getByPlaceholder(placeholder, { exact: true }),
+        });
+    }
+    if (name) {
+        const selector = `${tag}[name=${JSON.stringify(name)}]`;
+        candidates.push({ strategy: 'name', selector, locate: () => scope.locator(selector) });
+    }
+
+    return candidates;
+}
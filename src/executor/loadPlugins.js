@@ -0,0 +1,52 @@
+import { readdir } from 'fs/promises';
+import { extname, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import config from '../config.js';
+import logger from '../logger.js';
+import ActionExecutor from './ActionExecutor.js';
+
+const PLUGIN_EXTENSIONS = new Set(['.js', '.mjs']);
+
+/**
+ * Registers every action plugin in `directory`. A plugin is an ES module
+ * shaped like the built-in action modules, plus the action's name:
+ *
+ *   export const name = 'dismiss_cookies';
+ *   export const schema = { type: 'object', properties: {} };
+ *   export const description = '{ "action": "dismiss_cookies" }';
+ *   export default async function (page, params, executor) { ... }
+ *
+ * Files load in name order. A plugin that fails to import or register is
+ * logged and skipped so one broken file doesn't take the server down.
+ * A missing directory means no plugins. Returns the registered names.
+ */
+export default async function loadPlugins(directory = config.plugins.directory) {
+    let files;
+    try {
+        files = await readdir(directory);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const registered = [];
+    for (const file of files.filter((f) => PLUGIN_EXTENSIONS.has(extname(f))).sort()) {
+        const path = resolve(directory, file);
+        try {
+            const plugin = await import(pathToFileURL(path).href);
+            ActionExecutor.registerAction(
+                plugin.name,
+                { handler: plugin.default, schema: plugin.schema, description: plugin.description },
+                { plugin: file }
+            );
+            registered.push(plugin.name);
+        } catch (error) {
+            logger.error('Skipping action plugin', { path, error: error.message });
+        }
+    }
+
+    if (registered.length > 0) {
+        logger.info('Action plugins loaded', { directory, actions: registered });
+    }
+    return registered;
+}
@@ -0,0 +1,23 @@
+/**
+ * Parameter schema for actions that act on one element, addressed either by
+ * its [index] from the observed element list or by a CSS selector. A
+ * selector inside an iframe also needs "frame": the iframe selectors from
+ * the top page down, as shown in the element list.
+ */
+export function targetSchema(properties = {}, required = []) {
+    return {
+        type: 'object',
+        properties: {
+            element: { type: 'integer', minimum: 0 },
+            selector: { type: 'string', minLength: 1 },
+            frame: {
+                type: 'array',
+                minItems: 1,
+                items: { type: 'string', minLength: 1 },
+            },
+            ...properties,
+        },
+        required,
+        anyOf: [{ required: ['element'] }, { required: ['selector'] }],
+    };
+}
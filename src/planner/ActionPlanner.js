@@ -1,68 +1,216 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import config from '../config.js';
 import logger from '../logger.js';
-import { SYSTEM_PROMPT, formatPageContext } from './prompts.js';
+import {
+    buildSystemPrompt,
+    DECOMPOSE_PROMPT,
+    VERIFIER_PROMPT,
+    formatPageContext,
+    formatDecomposeRequest,
+    formatVerifyRequest,
+    formatRepairRequest,
+    formatPlaybook,
+    formatOutputContract,
+} from './prompts.js';
+import { createProvider } from './providers/index.js';
+import CassetteProvider from './providers/CassetteProvider.js';
+import HistoryManager, { summariseStep } from './HistoryManager.js';
+import { validatePlan } from './PlanValidator.js';
+import UsageTracker from './UsageTracker.js';
 
 /**
- * Sends page context to Gemini and parses the JSON action response.
+ * Sends page context to the configured LLM provider and parses the JSON action response.
  */
 export default class ActionPlanner {
-    constructor() {
-        this.genAI = new GoogleGenerativeAI(config.gemini.apiKey);
-        this.model = this.genAI.getGenerativeModel({
-            model: config.gemini.model,
-            generationConfig: {
-                temperature: 0.1,
-                responseMimeType: 'application/json',
-            },
-            systemInstruction: SYSTEM_PROMPT,
-        });
-        this.chatSession = null;
+    /**
+     * model / temperature / maxOutputTokens override the provider's config for this planner only.
+     * `hiddenActions` are left out of the system prompt.
+     */
+    constructor({
+        provider = config.llm.provider,
+        cassette = config.llm.cassette,
+        model,
+        temperature,
+        maxOutputTokens,
+        hiddenActions = [],
+    } = {}) {
+        this.hiddenActions = hiddenActions;
+        const overrides = Object.fromEntries(
+            Object.entries({ model, temperature, maxOutputTokens }).filter(([, v]) => v !== undefined)
+        );
+
+        // Replaying needs no live provider — and therefore no API key
+        const live =
+            cassette.mode === 'replay'
+                ? null
+                : createProvider(provider, {
+                    systemPrompt: buildSystemPrompt({ hiddenActions }),
+                    ...overrides,
+                });
+
+        this.provider =
+            cassette.mode === 'off'
+                ? live
+                : new CassetteProvider(live, { ...cassette, provider, model });
+        this.history = new HistoryManager();
+        this.usage = new UsageTracker({ model: this.provider.modelName });
+        this.maxRepairAttempts = config.llm.maxRepairAttempts;
     }
 
     /**
      * Injects the user's task as the first message and opens a chat session.
+     * System-scope site playbooks are appended to the system prompt; an
+     * output schema is spelled out in the task message.
      */
-    setTask(taskDescription) {
-        const taskMessage = `## Task\n${taskDescription}\n\nComplete this task by controlling the browser. Start now.`;
-
-        this.chatSession = this.model.startChat({
-            history: [
-                { role: 'user', parts: [{ text: taskMessage }] },
-                {
-                    role: 'model',
-                    parts: [
-                        {
-                            text: JSON.stringify({
-                                thinking: 'Understood. I will begin the task now.',
-                                actions: [],
-                                done: false,
-                                result: null,
-                            }),
-                        },
-                    ],
-                },
-            ],
-        });
+    setTask(taskDescription, { playbooks = [], outputSchema = null } = {}) {
+        this.taskDescription = taskDescription;
+        if (playbooks.length > 0) {
+            this.provider.setSystemPrompt(
+                [buildSystemPrompt({ hiddenActions: this.hiddenActions }), ...playbooks.map((playbook) => formatPlaybook(playbook))].join('\n\n')
+            );
+        }
+        const taskMessage = [
+            `## Task\n${taskDescription}`,
+            ...(outputSchema ? [formatOutputContract(outputSchema)] : []),
+            'Complete this task by controlling the browser. Start now.',
+        ].join('\n\n');
+
+        this.history.setTask(taskMessage);
+        this.provider.startChat(this.history.buildChatHistory());
+    }
+
+    /**
+     * Optional planning phase: asks for an ordered list of sub-goals in a
+     * one-shot call that stays out of the main chat.
+     */
+    async decomposeTask(taskDescription, startUrl) {
+        this.provider.setScope?.('subgoals');
+
+        const { text, usage } = await this.provider.complete(
+            formatDecomposeRequest(taskDescription, startUrl),
+            { systemPrompt: DECOMPOSE_PROMPT }
+        );
+        this.usage.record(usage);
+
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON from ${this.provider.name} sub-goal plan: ${error.message}`);
+        }
+
+        const subgoals = (parsed.subgoals || [])
+            .filter((goal) => typeof goal === 'string' && goal.trim())
+            .map((goal) => goal.trim())
+            .slice(0, 8);
+
+        if (subgoals.length === 0) {
+            throw new Error('Sub-goal plan was empty');
+        }
+        return subgoals;
     }
 
-    async planNextActions(pageContext, stepNumber, previousResults) {
+    /**
+     * Critic pass: asks, outside the main chat, whether the claimed result is
+     * supported by the current page and the step history.
+     * Resolves to { supported: boolean, objection: string | null }.
+     */
+    async verifyResult(claimedResult, observation, steps, stepNumber) {
+        this.provider.setScope?.(`${stepNumber}-verify`, observation);
+
+        const { text, usage } = await this.provider.complete(
+            formatVerifyRequest(
+                this.taskDescription,
+                claimedResult,
+                observation,
+                steps.map(summariseStep)
+            ),
+            { systemPrompt: VERIFIER_PROMPT }
+        );
+        this.usage.record(usage);
+
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON from ${this.provider.name} verifier: ${error.message}`);
+        }
+
+        return {
+            supported: parsed.supported === true,
+            objection: parsed.supported === true ? null : parsed.objection || null,
+        };
+    }
+
+    async planNextActions(pageContext, stepNumber, previousResults, extras = {}) {
         const userMessage = formatPageContext(
             pageContext,
             stepNumber,
-            previousResults
+            previousResults,
+            extras
         );
 
-        logger.debug('Requesting Gemini plan', { step: stepNumber });
+        // Only the cassette wrapper cares which step/page a message belongs to
+        this.provider.setScope?.(stepNumber, pageContext);
 
-        const result = await this.chatSession.sendMessage(userMessage);
-        const rawContent = result.response.text();
+        logger.debug('Requesting plan', { provider: this.provider.name, step: stepNumber });
 
-        logger.debug('Gemini response received', {
+        this.history.recordResults(previousResults);
+        const images = pageContext.screenshot ? [pageContext.screenshot] : [];
+        const stepUsage = { promptTokens: 0, completionTokens: 0 };
+        let rawContent = await this.send(userMessage, { images }, stepUsage);
+
+        logger.debug('Plan response received', {
             chars: rawContent.length,
         });
 
-        return this.parseResponse(rawContent);
+        // Bounded repair loop — hand the exact errors back instead of burning a step
+        for (let attempt = 1; ; attempt++) {
+            const errors = this.validateResponse(rawContent);
+            if (errors.length === 0) break;
+
+            if (attempt > this.maxRepairAttempts) {
+                throw new Error(`Plan validation failed: ${errors.join('; ')}`);
+            }
+
+            logger.warn('Plan failed validation — requesting repair', { attempt, errors });
+            rawContent = await this.send(formatRepairRequest(errors), {}, stepUsage);
+        }
+
+        const plan = this.parseResponse(rawContent);
+        plan.usage = {
+            step: this.usage.describe(stepUsage.promptTokens, stepUsage.completionTokens),
+            total: this.usage.totals(),
+        };
+        this.history.recordStep({
+            step: stepNumber,
+            url: pageContext.url,
+            userMessage,
+            responseText: rawContent,
+            plan,
+        });
+        return plan;
+    }
+
+    /**
+     * Sends one message and books its token usage — both on the session
+     * tracker and on the caller's per-step tally.
+     */
+    async send(message, options, stepUsage) {
+        const { text, usage } = await this.provider.send(message, options);
+        this.usage.record(usage);
+        stepUsage.promptTokens += usage?.promptTokens || 0;
+        stepUsage.completionTokens += usage?.completionTokens || 0;
+        return text;
+    }
+
+    validateResponse(rawContent) {
+        let parsed;
+        try {
+            parsed = JSON.parse(rawContent);
+        } catch (error) {
+            return [`Invalid JSON: ${error.message}`];
+        }
+        return validatePlan(parsed);
     }
 
     parseResponse(rawContent) {
@@ -73,22 +221,34 @@ export default class ActionPlanner {
                 actions: parsed.actions || [],
                 done: parsed.done === true,
                 result: parsed.result || null,
+                output: parsed.output ?? null,
+                subgoals: parsed.subgoals || [],
             };
         } catch (error) {
-            logger.error('Failed to parse Gemini response', {
+            logger.error('Failed to parse planner response', {
+                provider: this.provider.name,
                 raw: rawContent.slice(0, 200),
             });
-            throw new Error(`Invalid JSON from Gemini: ${error.message}`);
+            throw new Error(`Invalid JSON from ${this.provider.name}: ${error.message}`);
         }
     }
 
     /**
-     * Gemini's chat session handles history internally,
-     * but we can recreate it if it grows too large.
+     * Once the conversation outgrows its token budget, folds older steps into
+     * a summary and restarts the provider's chat from the compacted history.
      */
     trimHistory() {
-        // Gemini SDK manages chat history internally.
-        // For very long sessions we could recreate the chat,
-        // but for now the SDK handles it well within limits.
+        if (!this.history.isOverBudget()) return;
+
+        const tokensBefore = this.history.estimateTokens();
+        this.history.compact();
+        this.provider.startChat(this.history.buildChatHistory());
+
+        logger.info('Chat history compacted', {
+            tokensBefore,
+            tokensAfter: this.history.estimateTokens(),
+            summarisedSteps: this.history.summarisedSteps,
+            recentSteps: this.history.steps.length,
+        });
     }
 }
@@ -0,0 +1,162 @@
+import config from '../config.js';
+
+const TASK_ACK = JSON.stringify({
+    thinking: 'Understood. I will begin the task now.',
+    actions: [],
+    done: false,
+    result: null,
+});
+
+// Keeps the running summary itself from growing without bound
+const MAX_SUMMARY_LINES = 40;
+
+/**
+ * Token-budgeted conversation history for the planner.
+ *
+ * The chat is always: task message (+ summary of older steps), the model's
+ * acknowledgement, then the last N steps verbatim. Once the estimated size
+ * exceeds the budget, older steps are folded into the summary and the
+ * planner rebuilds the provider's chat from buildChatHistory().
+ */
+export default class HistoryManager {
+    constructor({
+        tokenBudget = config.llm.historyTokenBudget,
+        recentSteps = config.llm.historyRecentSteps,
+    } = {}) {
+        this.tokenBudget = tokenBudget;
+        this.recentSteps = recentSteps;
+        this.taskMessage = '';
+        this.steps = [];
+        this.summaryLines = [];
+        this.visitedUrls = [];
+        this.summarisedSteps = 0;
+    }
+
+    setTask(taskMessage) {
+        this.taskMessage = taskMessage;
+        this.steps = [];
+        this.summaryLines = [];
+        this.visitedUrls = [];
+        this.summarisedSteps = 0;
+    }
+
+    recordStep({ step, url, userMessage, responseText, plan }) {
+        this.steps.push({ step, url, userMessage, responseText, plan, results: null });
+    }
+
+    /**
+     * Results for a step only arrive once its actions ran, i.e. with the next plan request.
+     */
+    recordResults(results) {
+        const last = this.steps[this.steps.length - 1];
+        if (last && !last.results && results) {
+            last.results = results;
+        }
+    }
+
+    /**
+     * Rough estimate — ~4 characters per token holds well enough for English + JSON.
+     */
+    estimateTokens() {
+        const chars = this.buildChatHistory().reduce(
+            (total, message) => total + message.content.length,
+            0
+        );
+        return Math.ceil(chars / 4);
+    }
+
+    isOverBudget() {
+        return this.estimateTokens() > this.tokenBudget;
+    }
+
+    /**
+     * Folds everything but the most recent steps into the summary. If the
+     * recent steps alone still blow the budget, keeps folding down to one.
+     * A step still waiting for its results is never folded — its summary
+     * line would say its actions did not run.
+     */
+    compact() {
+        const pending = this.steps.at(-1)?.results === null ? 1 : 0;
+        let keep = Math.min(Math.max(this.recentSteps, pending), this.steps.length);
+        this.foldOldest(this.steps.length - keep);
+
+        while (keep > 1 && this.isOverBudget()) {
+            keep--;
+            this.foldOldest(this.steps.length - keep);
+        }
+    }
+
+    foldOldest(count) {
+        const folded = this.steps.splice(0, Math.max(count, 0));
+
+        for (const entry of folded) {
+            if (entry.url && !this.visitedUrls.includes(entry.url)) {
+                this.visitedUrls.push(entry.url);
+            }
+            this.summaryLines.push(summariseStep(entry));
+            this.summarisedSteps++;
+        }
+
+        if (this.summaryLines.length > MAX_SUMMARY_LINES) {
+            this.summaryLines = this.summaryLines.slice(-MAX_SUMMARY_LINES);
+        }
+    }
+
+    buildSummary() {
+        if (this.summarisedSteps === 0) return '';
+
+        const omitted = this.summarisedSteps - this.summaryLines.length;
+        return [
+            `## Progress So Far (${this.summarisedSteps} earlier steps, summarised)`,
+            `**Visited URLs:** ${this.visitedUrls.join(', ') || 'none'}`,
+            ...(omitted > 0 ? [`_…${omitted} older steps omitted._`] : []),
+            ...this.summaryLines,
+        ].join('\n');
+    }
+
+    /**
+     * Provider-neutral chat history: [{ role: 'user' | 'assistant', content }]
+     */
+    buildChatHistory() {
+        const summary = this.buildSummary();
+        const history = [
+            {
+                role: 'user',
+                content: summary ? `${this.taskMessage}\n\n${summary}` : this.taskMessage,
+            },
+            { role: 'assistant', content: TASK_ACK },
+        ];
+
+        for (const entry of this.steps) {
+            history.push(
+                { role: 'user', content: entry.userMessage },
+                { role: 'assistant', content: entry.responseText }
+            );
+        }
+
+        return history;
+    }
+}
+
+/**
+ * One-line digest of a step: thinking plus each action with ✓/✗.
+ */
+export function summariseStep({ step, url, plan, results }) {
+    const actions = (plan?.actions || []).map((action, index) => {
+        const result = results?.[index];
+        const label = describeAction(action);
+        if (!result) return `${label} (not run)`;
+        if (result.pageChanged) return `${label} (not run — page changed)`;
+        return result.success ? `${label} ✓` : `${label} ✗ ${result.error}`;
+    });
+
+    const thought = (plan?.thinking || '').replace(/\s+/g, ' ').slice(0, 120);
+    const location = url ? ` @ ${url}` : '';
+    return `- Step ${step}${location}: ${thought}${actions.length ? ` → ${actions.join('; ')}` : ''}`;
+}
+
+function describeAction({ action, ...params }) {
+    const element = params.element !== undefined ? `[${params.element}]` : '';
+    const target = element || params.selector || params.url || params.key || params.text || '';
+    return target ? `${action} ${String(target).slice(0, 60)}` : action;
+}
@@ -0,0 +1,112 @@
+import Ajv from 'ajv';
+import ActionExecutor from '../executor/ActionExecutor.js';
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+
+const PLAN_SCHEMA = {
+    type: 'object',
+    properties: {
+        thinking: { type: 'string' },
+        actions: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: { action: { type: 'string' } },
+                required: ['action'],
+            },
+        },
+        done: { type: 'boolean' },
+        subgoals: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    id: { type: 'integer' },
+                    status: { enum: ['done', 'failed'] },
+                    note: { type: 'string' },
+                },
+                required: ['id', 'status'],
+            },
+        },
+    },
+};
+
+const validatePlanShape = ajv.compile(PLAN_SCHEMA);
+const actionValidators = new WeakMap();
+
+/**
+ * Validates a parsed planner response against the plan shape and every
+ * action against the parameter schema registered with ActionExecutor.
+ * Returns a list of human-readable errors the model can act on — empty if valid.
+ */
+export function validatePlan(plan) {
+    if (!validatePlanShape(plan)) {
+        return validatePlanShape.errors.map((error) => formatError('response', error));
+    }
+
+    const errors = [];
+
+    (plan.actions || []).forEach(({ action, ...params }, index) => {
+        const label = `actions[${index}]`;
+        const schema = ActionExecutor.getActionSchema(action);
+
+        if (!schema) {
+            const supported = ActionExecutor.listSupportedActions().join(', ');
+            errors.push(`${label}: unknown action "${action}". Supported: ${supported}`);
+            return;
+        }
+
+        const validate = compileActionSchema(schema);
+        if (!validate(params)) {
+            for (const error of collapseAlternatives(validate.errors)) {
+                errors.push(formatError(`${label} ("${action}")`, error));
+            }
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Compiles (and caches) the validator for an action's parameter schema.
+ * Throws if the schema is not valid JSON Schema.
+ */
+export function compileActionSchema(schema) {
+    if (!actionValidators.has(schema)) {
+        actionValidators.set(schema, ajv.compile(schema));
+    }
+    return actionValidators.get(schema);
+}
+
+/**
+ * "anyOf: [{ required: ['element'] }, { required: ['selector'] }]" fails with
+ * one error per branch plus a vague "must match a schema in anyOf". Merge
+ * those into a single "must have one of the properties: element, selector".
+ * Same for a oneOf of required properties when none of them is present.
+ */
+function collapseAlternatives(errors) {
+    const merged = [];
+    const absorbed = new Set();
+
+    for (const error of errors) {
+        if (error.keyword !== 'anyOf' && error.keyword !== 'oneOf') continue;
+
+        const branches = errors.filter(
+            (e) => e.schemaPath.startsWith(`${error.schemaPath}/`) && e.instancePath === error.instancePath
+        );
+        if (branches.length === 0 || !branches.every((e) => e.keyword === 'required')) continue;
+
+        branches.forEach((e) => absorbed.add(e));
+        absorbed.add(error);
+        const properties = branches.map((e) => e.params.missingProperty).join(', ');
+        merged.push({ ...error, message: `must have one of the properties: ${properties}`, params: {} });
+    }
+
+    return [...errors.filter((e) => !absorbed.has(e)), ...merged];
+}
+
+function formatError(label, { instancePath, message, params }) {
+    const path = instancePath ? ` ${instancePath.slice(1).replace(/\//g, '.')}` : '';
+    const allowed = params?.allowedValues ? ` (${params.allowedValues.join(', ')})` : '';
+    return `${label}${path}: ${message}${allowed}`;
+}
@@ -0,0 +1,97 @@
+import config from '../config.js';
+
+/**
+ * USD per 1M tokens. Models are matched by longest prefix, so
+ * "gemini-2.0-flash-001" is priced as "gemini-2.0-flash".
+ * Extend or override with the LLM_PRICES env var (same JSON shape).
+ */
+const DEFAULT_PRICES = {
+    'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+    'gemini-2.0-flash-lite': { input: 0.075, output: 0.3 },
+    'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+    'gemini-2.5-pro': { input: 1.25, output: 10 },
+    'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+    'gemini-1.5-pro': { input: 1.25, output: 5 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+};
+
+/**
+ * Accumulates token counts and cost across every LLM call of a session.
+ */
+export default class UsageTracker {
+    constructor({ model, prices = config.llm.prices } = {}) {
+        this.model = model;
+        this.price = UsageTracker.priceOf(model, prices);
+        this.promptTokens = 0;
+        this.completionTokens = 0;
+        this.calls = 0;
+    }
+
+    /**
+     * USD per 1M tokens for a model ({ input, output }), or null if unknown —
+     * a cost budget cannot be enforced for such a model.
+     */
+    static priceOf(model, prices = config.llm.prices) {
+        return findPrice(model, { ...DEFAULT_PRICES, ...prices });
+    }
+
+    /**
+     * Adds one provider response's usage and returns that call's share.
+     */
+    record(usage = {}) {
+        const promptTokens = usage.promptTokens || 0;
+        const completionTokens = usage.completionTokens || 0;
+
+        this.promptTokens += promptTokens;
+        this.completionTokens += completionTokens;
+        this.calls++;
+
+        return this.describe(promptTokens, completionTokens);
+    }
+
+    totals() {
+        return { ...this.describe(this.promptTokens, this.completionTokens), calls: this.calls };
+    }
+
+    describe(promptTokens, completionTokens) {
+        return {
+            promptTokens,
+            completionTokens,
+            totalTokens: promptTokens + completionTokens,
+            // null when the model has no known price (e.g. a local model)
+            costUsd: this.price
+                ? roundUsd((promptTokens * this.price.input + completionTokens * this.price.output) / 1e6)
+                : null,
+        };
+    }
+
+    /**
+     * Returns a reason string when a ceiling is crossed, otherwise null.
+     */
+    checkBudget({ maxTokens, maxCostUsd } = {}) {
+        const { totalTokens, costUsd } = this.totals();
+
+        if (maxTokens && totalTokens > maxTokens) {
+            return `token budget exceeded (${totalTokens} > ${maxTokens})`;
+        }
+        if (maxCostUsd && costUsd !== null && costUsd > maxCostUsd) {
+            return `cost budget exceeded ($${costUsd} > $${maxCostUsd})`;
+        }
+        return null;
+    }
+}
+
+function findPrice(model, prices) {
+    if (!model) return null;
+    const match = Object.keys(prices)
+        .filter((name) => model.startsWith(name))
+        .sort((a, b) => b.length - a.length)[0];
+    return match ? prices[match] : null;
+}
+
+function roundUsd(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
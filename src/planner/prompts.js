@@ -1,12 +1,21 @@
 import ActionExecutor from '../executor/ActionExecutor.js';
 
-const SUPPORTED_ACTIONS = ActionExecutor.listSupportedActions();
+// The accessibility tree replaces the element list and visible text, so it gets their combined room
+const MAX_ARIA_TREE_CHARS = 12000;
 
-const SYSTEM_PROMPT = `You are a browser automation agent. You control a real browser through JSON actions.
+/**
+ * The planner's system prompt. Built on demand from the action registry, so
+ * actions registered by plugins are listed along with the built-ins.
+ * `hiddenActions` are left out — actions this session may not use.
+ */
+function buildSystemPrompt({ hiddenActions = [] } = {}) {
+    const actions = ActionExecutor.describeActions().filter(({ name }) => !hiddenActions.includes(name));
+
+    return `You are a browser automation agent. You control a real browser through JSON actions.
 
 ## Your Capabilities
 You can perform these actions:
-${SUPPORTED_ACTIONS.map((a) => `- "${a}"`).join('\n')}
+${actions.map(({ name }) => `- "${name}"`).join('\n')}
 
 ## Action Format
 Respond with a JSON object containing:
@@ -14,44 +23,160 @@ Respond with a JSON object containing:
 - "actions": An array of action objects to execute sequentially.
 - "done": Boolean. Set to true when the original task is complete.
 - "result": When done is true, provide the final answer or summary here.
+- "output": Only when the task defines an output schema — the structured result matching
+  it, alongside the prose "result".
+- "subgoals": Optional. When a sub-goal checklist is shown, mark finished items as
+  [{ "id": 2, "status": "done" | "failed", "note": "short reason" }].
 
 ## Action Schemas
-- { "action": "navigate", "url": "https://..." }
-- { "action": "click", "selector": "css-selector" }
-- { "action": "type", "selector": "css-selector", "text": "...", "clearFirst": true }
-- { "action": "scroll", "direction": "down"|"up", "amount": 500 }
-- { "action": "wait", "milliseconds": 1000 }
-- { "action": "wait", "forSelector": "css-selector", "milliseconds": 5000 }
-- { "action": "screenshot", "name": "descriptive-name", "fullPage": false }
-- { "action": "extract", "selector": "css-selector", "attribute": "href" }
-- { "action": "select", "selector": "css-selector", "value": "option-value" }
-- { "action": "keypress", "key": "Enter" }
-- { "action": "hover", "selector": "css-selector" }
+Actions that target an element take either "element": <index> (the [index] from the
+Interactive Elements list) or "selector": "css-selector". Elements inside an iframe are listed
+with a frame path; a "selector" for such an element also needs that "frame" array.
+${actions.flatMap(({ description }) => description.map((line) => `- ${line}`)).join('\n')}
 
 ## Rules
 1. ALWAYS respond with valid JSON. No markdown, no backticks, just raw JSON.
-2. Use the provided CSS selectors from the page context when possible.
+2. Refer to listed elements by index ("element": 12). Only use "selector" for elements that are not in the list.
 3. Execute the minimum number of actions needed per step.
 4. If an action fails, analyze the error and try a different approach.
 5. When a task is complete, set "done": true and summarize the result.
-6. If you are stuck after 3 attempts, set "done": true and explain what went wrong.`;
+6. If you are stuck after 3 attempts, set "done": true and explain what went wrong.
+7. Links and popups may open new tabs. A newly opened tab becomes the active one; use "switchtab" to go back.
+8. Files a click downloads are saved automatically and listed under "downloads" in that action's result.
+9. A result with "healedWith" means the original target had moved and was found again another way; re-read the element list before reusing that selector.
+10. A result with "pageChanged" is not an error: the page changed under the batch, so the remaining actions were not run. Look at the new page and plan again.`;
+}
+
+const DECOMPOSE_PROMPT = `You plan browser automation tasks. Break the user's task into an ordered checklist of 2-8 concrete sub-goals that a browser agent can verify from the page (e.g. "Open the pricing page", "Read the monthly price of the Pro plan").
+
+Respond with raw JSON only: { "subgoals": ["first sub-goal", "second sub-goal", ...] }`;
+
+const VERIFIER_PROMPT = `You are a strict reviewer checking a browser agent's work. Given the task, the agent's claimed final result, the current page and the agent's step history, decide whether the claimed result is actually supported by that evidence. Reject results that are invented, that contradict the page, or that answer a different question than the task asks. Accept honest reports that the task could not be completed when the history shows why.
+
+Respond with raw JSON only: { "supported": true | false, "objection": "what is unsupported and what to check instead (empty when supported)" }`;
+
+/**
+ * Formats the one-shot request for the optional planning phase.
+ */
+function formatDecomposeRequest(taskDescription, startUrl) {
+    return [
+        '## Task',
+        taskDescription,
+        '',
+        `**Start URL:** ${startUrl || 'none'}`,
+    ].join('\n');
+}
+
+/**
+ * Formats the critic request that checks a claimed result before it is accepted.
+ */
+function formatVerifyRequest(taskDescription, claimedResult, observation, stepLines) {
+    return [
+        '## Task',
+        taskDescription,
+        '',
+        '## Claimed Result',
+        typeof claimedResult === 'string' ? claimedResult : JSON.stringify(claimedResult),
+        '',
+        '## Current Page',
+        `**URL:** ${observation.url}`,
+        `**Title:** ${observation.title}`,
+        observation.visibleText,
+        '',
+        '## Step History',
+        stepLines.length ? stepLines.join('\n') : '_No actions were taken._',
+    ].join('\n');
+}
 
 /**
  * Formats page context into a user message for the LLM.
+ *
+ * `extras` carries per-step guidance from the agent loop:
+ *   subgoals — SubGoalTracker checklist (array of goals)
+ *   feedback — verifier objection to the previous "done" answer
+ *   playbooks — site playbooks matching the current URL ({ name, hints })
+ *   outputErrors — why the previous "output" did not match the output schema
  */
-function formatPageContext(pageContext, stepNumber, previousResults) {
+function formatPageContext(pageContext, stepNumber, previousResults, extras = {}) {
     const parts = [
         `## Current Page (Step ${stepNumber})`,
         `**URL:** ${pageContext.url}`,
         `**Title:** ${pageContext.title}`,
         '',
-        '### Interactive Elements',
-        formatElements(pageContext.interactiveElements),
-        '',
-        '### Visible Text (truncated)',
-        pageContext.visibleText.slice(0, 2000),
     ];
 
+    if (pageContext.pendingDialog) {
+        const { type, message, defaultValue } = pageContext.pendingDialog;
+        parts.push(
+            '### Open Dialog',
+            `A ${type} dialog is blocking the page: "${message}"${defaultValue ? ` (default: "${defaultValue}")` : ''}`,
+            'Answer it with the "dialog" action before doing anything else.',
+            ''
+        );
+    }
+
+    const handledDialogs = (pageContext.dialogs || []).filter((d) => d.handled !== 'pending');
+    if (handledDialogs.length > 0) {
+        parts.push(
+            '### Dialogs Since Last Step',
+            ...handledDialogs.map(({ type, message, handled }) => `- ${type} "${message}" → ${handled}`),
+            ''
+        );
+    }
+
+    if (pageContext.tabs?.length > 1) {
+        parts.push('### Open Tabs', ...formatTabs(pageContext.tabs), '');
+    }
+
+    if (pageContext.screenshot) {
+        parts.push(
+            '### Screenshot',
+            'The attached screenshot shows the current viewport. Numbered boxes mark interactive elements and match the [index] in the list below.',
+            ''
+        );
+    }
+
+    if (pageContext.ariaTree !== undefined) {
+        parts.push(
+            '### Accessibility Tree',
+            'Roles, accessible names and [states] of the page. Numbered nodes are the interactive elements — use the [index] as "element".',
+            formatAriaTree(pageContext.ariaTree)
+        );
+    } else {
+        parts.push('### Interactive Elements', formatElements(pageContext.interactiveElements));
+
+        if (pageContext.mode !== 'vision') {
+            parts.push('', '### Visible Text (truncated)', pageContext.visibleText.slice(0, 2000));
+        }
+    }
+
+    if (extras.subgoals?.length) {
+        parts.push('', ...formatSubGoals(extras.subgoals));
+    }
+
+    for (const playbook of extras.playbooks || []) {
+        parts.push('', formatPlaybook(playbook, '###'));
+    }
+
+    if (extras.outputErrors?.length) {
+        parts.unshift(
+            '## Output Rejected',
+            'Your "output" does not match the required output schema:',
+            ...extras.outputErrors.map((error) => `- ${error}`),
+            'Fix the output (re-check the page if needed), then answer "done" again.',
+            ''
+        );
+    }
+
+    if (extras.feedback) {
+        parts.unshift(
+            '## Verifier Feedback',
+            `Your "done" answer was rejected: ${extras.feedback}`,
+            'Keep working, then answer again with a result the page supports.',
+            ''
+        );
+    }
+
     if (previousResults && previousResults.length > 0) {
         parts.unshift(
             '## Previous Action Results',
@@ -63,6 +188,59 @@ function formatPageContext(pageContext, stepNumber, previousResults) {
     return parts.join('\n');
 }
 
+function formatSubGoals(goals) {
+    const marks = { done: 'x', failed: '!', active: '>', pending: ' ' };
+    const current = goals.find((goal) => goal.status === 'active');
+
+    return [
+        '### Sub-goals',
+        ...goals.map((goal) => `- [${marks[goal.status]}] ${goal.id}. ${goal.description}`),
+        current
+            ? `**Current sub-goal:** ${current.id}. ${current.description}`
+            : '**All sub-goals are finished** — wrap up the task.',
+        'Mark sub-goals you finish or give up on in "subgoals".',
+    ];
+}
+
+/**
+ * Appended to the task message so the contract survives history compaction.
+ */
+function formatOutputContract(schema) {
+    return [
+        '## Output Contract',
+        'When you finish, put the structured result in "output" as JSON matching this schema,',
+        'and keep "result" as a short prose summary:',
+        JSON.stringify(schema, null, 2),
+    ].join('\n');
+}
+
+function formatTabs(tabs) {
+    return tabs.map(
+        ({ index, title, url, active }) => `- [${index}] ${title || '(untitled)'} — ${url}${active ? ' (active)' : ''}`
+    );
+}
+
+/**
+ * Site-specific hints, rendered into the step message or the system prompt.
+ */
+function formatPlaybook({ name, hints }, heading = '##') {
+    return `${heading} Site Playbook: ${name}\n${hints.trim()}`;
+}
+
+/**
+ * Cuts the tree at a line boundary once it outgrows its room, saying how
+ * many numbered nodes were left out so the model knows to scroll or narrow.
+ */
+function formatAriaTree(tree) {
+    if (!tree) return '_Empty accessibility tree._';
+    if (tree.length <= MAX_ARIA_TREE_CHARS) return tree;
+
+    const cut = tree.lastIndexOf('\n', MAX_ARIA_TREE_CHARS);
+    const kept = tree.slice(0, Math.max(cut, 0));
+    const hidden = tree.slice(kept.length).match(/^\s*- \[\d+\] /gm)?.length || 0;
+    return `${kept}\n(tree truncated, ${hidden} more interactive nodes)`;
+}
+
 function formatElements(elements) {
     if (elements.length === 0) return '_No interactive elements found._';
 
@@ -74,9 +252,33 @@ function formatElements(elements) {
             if (el.href) parts.push(`href="${el.href}"`);
             if (el.ariaLabel) parts.push(`aria="${el.ariaLabel}"`);
             parts.push(`selector="${el.selector}"`);
+            if (el.frame) parts.push(`frame=${JSON.stringify(el.frame)}`);
             return parts.join(' | ');
         })
         .join('\n');
 }
 
-export { SYSTEM_PROMPT, formatPageContext };
+/**
+ * Asks the model to fix a response that failed JSON parsing or schema validation.
+ */
+function formatRepairRequest(errors) {
+    return [
+        '## Invalid Response',
+        'Your last response could not be executed:',
+        ...errors.map((error) => `- ${error}`),
+        '',
+        'Reply again with the complete, corrected JSON object for this same step. Do not explain.',
+    ].join('\n');
+}
+
+export {
+    buildSystemPrompt,
+    DECOMPOSE_PROMPT,
+    VERIFIER_PROMPT,
+    formatPageContext,
+    formatDecomposeRequest,
+    formatVerifyRequest,
+    formatRepairRequest,
+    formatPlaybook,
+    formatOutputContract,
+};
@@ -0,0 +1,147 @@
+import { createHash } from 'crypto';
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+import config from '../../config.js';
+import logger from '../../logger.js';
+
+/**
+ * Wraps a provider to make agent runs reproducible.
+ *
+ *   record — forwards every message to the real provider and saves the
+ *            request/response pair to the cassette file.
+ *   replay — serves the saved responses back; no provider, no network.
+ *
+ * Exchanges are keyed by "<step>:<page fingerprint>", set by the planner via
+ * setScope() before each step. A step that needs several calls (e.g. a repair
+ * round-trip) stores them as an ordered list under the same key.
+ */
+export default class CassetteProvider {
+    constructor(inner, { mode, path, provider, model }) {
+        if (mode !== 'record' && mode !== 'replay') {
+            throw new Error(`Unknown cassette mode "${mode}". Expected "record" or "replay"`);
+        }
+        if (!path) {
+            throw new Error('Cassette mode requires a cassette file path');
+        }
+
+        this.inner = inner;
+        this.name = inner?.name || provider;
+        // Replay has no live provider; assume the requested/configured model for cost accounting
+        this.modelName = inner?.modelName || model || config[provider]?.model || null;
+        this.mode = mode;
+        this.path = path;
+        this.scope = 'unscoped';
+        this.interactions = null;
+        this.cursors = new Map();
+    }
+
+    /**
+     * `label` is usually the step number; calls made before the first
+     * observation (e.g. task decomposition) pass a label and no page.
+     */
+    setScope(label, pageContext = null) {
+        this.scope = pageContext ? `${label}:${fingerprintPage(pageContext)}` : String(label);
+    }
+
+    setSystemPrompt(systemPrompt) {
+        this.inner?.setSystemPrompt(systemPrompt);
+    }
+
+    startChat(history) {
+        this.inner?.startChat(history);
+    }
+
+    send(message, options) {
+        // Only the text is recorded; attached images are not needed to replay
+        return this.exchange(message, () => this.inner.send(message, options));
+    }
+
+    complete(message, options) {
+        return this.exchange(message, () => this.inner.complete(message, options));
+    }
+
+    async exchange(message, call) {
+        await this.load();
+
+        if (this.mode === 'replay') {
+            return this.replay();
+        }
+
+        const response = await call();
+        if (!this.interactions[this.scope]) this.interactions[this.scope] = [];
+        this.interactions[this.scope].push({ request: message, response });
+        await this.save();
+        return response;
+    }
+
+    replay() {
+        const recorded = this.interactions[this.scope] || [];
+        const index = this.cursors.get(this.scope) || 0;
+        const entry = recorded[index];
+
+        if (!entry) {
+            throw new Error(
+                `Cassette miss: no recorded response #${index + 1} for "${this.scope}" in ${this.path}`
+            );
+        }
+
+        this.cursors.set(this.scope, index + 1);
+        logger.debug('Replaying cassette response', { scope: this.scope, index });
+        return entry.response;
+    }
+
+    async load() {
+        if (this.interactions) return;
+
+        if (this.mode === 'record') {
+            // Recording always starts a fresh cassette
+            this.interactions = {};
+            return;
+        }
+
+        const data = JSON.parse(await readFile(this.path, 'utf8'));
+        this.interactions = data.interactions || {};
+        logger.info('Cassette loaded', {
+            path: this.path,
+            scopes: Object.keys(this.interactions).length,
+        });
+    }
+
+    async save() {
+        await mkdir(dirname(this.path), { recursive: true });
+        const data = {
+            version: 1,
+            provider: this.name,
+            model: this.modelName,
+            recordedAt: new Date().toISOString(),
+            interactions: this.interactions,
+        };
+        await writeFile(this.path, `${JSON.stringify(data, null, 2)}\n`);
+    }
+}
+
+/**
+ * Short, stable hash of what the model was shown. The origin is left out so
+ * a cassette recorded against a local fixture server on one port still
+ * matches on another, and visible text is left out because it often holds
+ * timestamps or other run-specific noise.
+ */
+export function fingerprintPage(pageContext) {
+    let location = pageContext.url;
+    try {
+        const url = new URL(pageContext.url);
+        location = `${url.pathname}${url.search}`;
+    } catch {
+        // about:blank and friends — keep the raw string
+    }
+
+    // Iframes (ads, widgets) change between visits — only the top frame counts
+    const elements = (pageContext.interactiveElements || [])
+        .filter((el) => !el.frame)
+        .map((el) => `${el.tag || el.role}|${el.text || ''}|${el.selector}`);
+
+    return createHash('sha1')
+        .update(JSON.stringify({ location, title: pageContext.title, elements }))
+        .digest('hex')
+        .slice(0, 12);
+}
@@ -0,0 +1,144 @@
+import {
+    GoogleGenerativeAI,
+    GoogleGenerativeAIFetchError,
+} from '@google/generative-ai';
+import config from '../../config.js';
+import ProviderError from './ProviderError.js';
+
+/**
+ * Google Gemini adapter. Chat history lives inside the SDK's ChatSession.
+ */
+export default class GeminiProvider {
+    constructor({ systemPrompt, ...overrides } = {}) {
+        this.name = 'gemini';
+        this.settings = { ...config.gemini, ...overrides };
+        this.modelName = this.settings.model;
+        this.genAI = new GoogleGenerativeAI(this.settings.apiKey);
+        this.model = this.createModel(systemPrompt);
+        this.chatSession = null;
+    }
+
+    createModel(systemInstruction) {
+        return this.genAI.getGenerativeModel({
+            model: this.settings.model,
+            generationConfig: {
+                temperature: this.settings.temperature,
+                maxOutputTokens: this.settings.maxOutputTokens,
+                responseMimeType: 'application/json',
+            },
+            systemInstruction,
+        });
+    }
+
+    setSystemPrompt(systemPrompt) {
+        this.model = this.createModel(systemPrompt);
+    }
+
+    /**
+     * Opens a fresh chat seeded with provider-neutral history:
+     * [{ role: 'user' | 'assistant', content: string }]
+     */
+    startChat(history = []) {
+        this.chatSession = this.model.startChat({
+            history: history.map((message) => ({
+                role: message.role === 'assistant' ? 'model' : 'user',
+                parts: [{ text: message.content }],
+            })),
+        });
+    }
+
+    /**
+     * images: [{ mimeType, data }] with base64 data, sent alongside the text.
+     */
+    async send(message, { images = [] } = {}) {
+        if (!this.chatSession) this.startChat();
+
+        const request = images.length
+            ? [
+                { text: message },
+                ...images.map(({ mimeType, data }) => ({ inlineData: { mimeType, data } })),
+            ]
+            : message;
+
+        let result;
+        try {
+            result = await this.chatSession.sendMessage(request);
+        } catch (error) {
+            throw this.mapError(error);
+        }
+
+        if (images.length) {
+            await this.dropImagesFromHistory();
+        }
+        return toResponse(result);
+    }
+
+    /**
+     * Images are sent once and kept out of the history, like OpenAIProvider —
+     * otherwise the SDK resends every past screenshot on every step. The chat
+     * is reopened with the same turns, minus their inline data.
+     */
+    async dropImagesFromHistory() {
+        const history = await this.chatSession.getHistory();
+        this.chatSession = this.model.startChat({
+            history: history.map((content) => ({
+                ...content,
+                parts: content.parts.filter((part) => !part.inlineData),
+            })),
+        });
+    }
+
+    /**
+     * One-shot request outside the chat, with its own system prompt.
+     */
+    async complete(message, { systemPrompt } = {}) {
+        let result;
+        try {
+            result = await this.createModel(systemPrompt).generateContent(message);
+        } catch (error) {
+            throw this.mapError(error);
+        }
+        return toResponse(result);
+    }
+
+    mapError(error) {
+        let type = ProviderError.typeForFetchError(error);
+
+        if (error instanceof GoogleGenerativeAIFetchError) {
+            type = ProviderError.typeForStatus(error.status);
+            // Gemini answers a bad key with 400 rather than 401
+            if (error.status === 400 && error.message.includes('API key')) {
+                type = 'AUTH_ERROR';
+            }
+        }
+
+        return new ProviderError(`Gemini request failed: ${error.message}`, {
+            type,
+            provider: this.name,
+            status: error.status,
+            cause: error,
+        });
+    }
+}
+
+function toResponse(result) {
+    const usage = result.response.usageMetadata || {};
+    let text;
+    try {
+        text = result.response.text();
+    } catch (error) {
+        // A blocked prompt or candidate (safety, recitation) has no text to read
+        throw new ProviderError(`Gemini returned no usable answer: ${error.message}`, {
+            type: 'PARSE_ERROR',
+            provider: 'gemini',
+            cause: error,
+        });
+    }
+    return {
+        text,
+        usage: {
+            promptTokens: usage.promptTokenCount || 0,
+            completionTokens: usage.candidatesTokenCount || 0,
+        },
+    };
+}
@@ -0,0 +1,140 @@
+import config from '../../config.js';
+import ProviderError from './ProviderError.js';
+
+/**
+ * Adapter for any OpenAI-compatible /chat/completions endpoint —
+ * OpenAI itself, Ollama, llama.cpp server, vLLM, LM Studio, etc.
+ * The API is stateless, so the adapter keeps the message list itself.
+ */
+export default class OpenAIProvider {
+    constructor({ systemPrompt, ...overrides } = {}) {
+        this.name = 'openai';
+        this.settings = { ...config.openai, ...overrides };
+        this.modelName = this.settings.model;
+        this.systemPrompt = systemPrompt;
+        this.messages = [];
+    }
+
+    setSystemPrompt(systemPrompt) {
+        this.systemPrompt = systemPrompt;
+    }
+
+    startChat(history = []) {
+        this.messages = history.map(({ role, content }) => ({ role, content }));
+    }
+
+    /**
+     * images: [{ mimeType, data }] with base64 data, sent alongside the text.
+     */
+    async send(message, { images = [] } = {}) {
+        const content = images.length
+            ? [
+                { type: 'text', text: message },
+                ...images.map(({ mimeType, data }) => ({
+                    type: 'image_url',
+                    image_url: { url: `data:${mimeType};base64,${data}` },
+                })),
+            ]
+            : message;
+
+        const { text, usage } = toResponse(
+            await this.request([...this.messages, { role: 'user', content }])
+        );
+
+        // Only commit the turn once the model has answered, so a failed
+        // request can be retried without duplicating the user message.
+        // Images are sent once and kept out of the history — resending every
+        // past screenshot on each step would dwarf the text context.
+        this.messages = [
+            ...this.messages,
+            { role: 'user', content: message },
+            { role: 'assistant', content: text },
+        ];
+        return { text, usage };
+    }
+
+    /**
+     * One-shot request outside the chat, with its own system prompt.
+     */
+    async complete(message, { systemPrompt } = {}) {
+        return toResponse(await this.request([{ role: 'user', content: message }], systemPrompt));
+    }
+
+    async request(messages, systemPrompt = this.systemPrompt) {
+        const { baseUrl, apiKey, model, temperature, maxOutputTokens, jsonMode, timeoutMs } =
+            this.settings;
+
+        const body = {
+            model,
+            temperature,
+            max_tokens: maxOutputTokens,
+            messages: systemPrompt
+                ? [{ role: 'system', content: systemPrompt }, ...messages]
+                : messages,
+        };
+        if (jsonMode) {
+            body.response_format = { type: 'json_object' };
+        }
+
+        let response;
+        try {
+            response = await fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+                },
+                body: JSON.stringify(body),
+                signal: AbortSignal.timeout(timeoutMs),
+            });
+        } catch (error) {
+            throw new ProviderError(`OpenAI-compatible request failed: ${error.message}`, {
+                type: ProviderError.typeForFetchError(error),
+                provider: this.name,
+                cause: error,
+            });
+        }
+
+        if (!response.ok) {
+            const detail = await response.text().catch(() => '');
+            throw new ProviderError(
+                `OpenAI-compatible request failed: [${response.status} ${response.statusText}] ${detail.slice(0, 300)}`,
+                {
+                    type: ProviderError.typeForStatus(response.status),
+                    provider: this.name,
+                    status: response.status,
+                }
+            );
+        }
+
+        // A proxy or misconfigured server may answer 200 with an HTML page
+        try {
+            return await response.json();
+        } catch (error) {
+            throw new ProviderError(`OpenAI-compatible response is not valid JSON: ${error.message}`, {
+                type: error.name === 'SyntaxError' ? 'PARSE_ERROR' : ProviderError.typeForFetchError(error),
+                provider: this.name,
+                status: response.status,
+                cause: error,
+            });
+        }
+    }
+}
+
+function toResponse(data) {
+    return {
+        text: stripCodeFences(data.choices?.[0]?.message?.content || ''),
+        usage: {
+            promptTokens: data.usage?.prompt_tokens || 0,
+            completionTokens: data.usage?.completion_tokens || 0,
+        },
+    };
+}
+
+/**
+ * Local models without a JSON mode often wrap their answer in ```json fences.
+ */
+function stripCodeFences(text) {
+    const match = text.trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/);
+    return match ? match[1] : text;
+}
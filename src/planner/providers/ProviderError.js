@@ -0,0 +1,37 @@
+/**
+ * Error raised by an LLM provider adapter, already mapped onto the
+ * categories AgentLoop.classifyError reports to the frontend.
+ */
+export default class ProviderError extends Error {
+    constructor(message, { type = 'UNKNOWN', provider, status, cause } = {}) {
+        super(message, { cause });
+        this.name = 'ProviderError';
+        this.type = type;
+        this.provider = provider;
+        this.status = status;
+    }
+
+    /**
+     * Maps an HTTP status code from a provider API onto an error category.
+     */
+    static typeForStatus(status) {
+        if (status === 429) return 'RATE_LIMIT';
+        if (status === 401 || status === 403) return 'AUTH_ERROR';
+        if (status === 408 || status === 504) return 'TIMEOUT';
+        if (status >= 500) return 'NETWORK';
+        return 'UNKNOWN';
+    }
+
+    /**
+     * Maps errors thrown by fetch itself (no HTTP response) onto a category.
+     */
+    static typeForFetchError(error) {
+        if (error.name === 'TimeoutError' || error.name === 'AbortError') return 'TIMEOUT';
+        const code = error.cause?.code || error.code;
+        if (code === 'ETIMEDOUT' || code === 'UND_ERR_CONNECT_TIMEOUT') return 'TIMEOUT';
+        if (error.message?.includes('fetch failed') || code === 'ECONNREFUSED' || code === 'ENOTFOUND') {
+            return 'NETWORK';
+        }
+        return 'UNKNOWN';
+    }
+}
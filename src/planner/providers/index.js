@@ -0,0 +1,33 @@
+import GeminiProvider from './GeminiProvider.js';
+import OpenAIProvider from './OpenAIProvider.js';
+
+const PROVIDERS = {
+    gemini: GeminiProvider,
+    openai: OpenAIProvider,
+};
+
+/**
+ * Instantiates the LLM adapter registered under `name`.
+ * Every adapter exposes the same surface:
+ *   startChat(history)         — reset the conversation to the given history
+ *   setSystemPrompt(prompt)    — replace the chat's system prompt (before startChat)
+ *   send(message, { images })  — append a user turn, resolve to { text, usage }
+ *   complete(message, { systemPrompt }) — one-shot call outside the chat, same result
+ *   name, modelName            — for logs and cost accounting
+ * and throws ProviderError for failed requests.
+ */
+export function createProvider(name, options = {}) {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(
+            `Unknown LLM provider "${name}". Supported: ${listProviders().join(', ')}`
+        );
+    }
+    return new Provider(options);
+}
+
+export function listProviders() {
+    return Object.keys(PROVIDERS);
+}
+
+export { default as ProviderError } from './ProviderError.js';
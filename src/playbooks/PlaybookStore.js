@@ -0,0 +1,166 @@
+import Ajv from 'ajv';
+import { mkdir, readdir, readFile, writeFile } from 'fs/promises';
+import { join } from 'path';
+import config from '../config.js';
+import logger from '../logger.js';
+
+const ajv = new Ajv({ allErrors: true });
+
+// Ids double as file names, so keep them path-safe
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+/**
+ * A playbook is one JSON file per site: "<id>.json" in the playbook directory.
+ *
+ *   match — URL patterns. Without a "/" a pattern is matched against the
+ *           hostname ("*.amazon.com" also matches "amazon.com"); with one it
+ *           is matched against host + path + query ("github.com/login*").
+ *   scope — "page" (default): hints are added to every step on a matching
+ *           page. "system": hints are appended to the system prompt when the
+ *           start URL matches, and fall back to "page" for later matches.
+ */
+const PLAYBOOK_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        id: { type: 'string', pattern: ID_PATTERN.source },
+        name: { type: 'string', minLength: 1, maxLength: 120 },
+        match: {
+            type: 'array',
+            minItems: 1,
+            items: { type: 'string', minLength: 1, maxLength: 200 },
+        },
+        hints: { type: 'string', minLength: 1, maxLength: 4000 },
+        scope: { enum: ['page', 'system'] },
+        updatedAt: { type: 'string' },
+    },
+    required: ['id', 'name', 'match', 'hints'],
+};
+
+const validate = ajv.compile(PLAYBOOK_SCHEMA);
+
+/**
+ * Returns human-readable validation errors — empty if the playbook is valid.
+ */
+export function validatePlaybook(playbook) {
+    if (validate(playbook)) return [];
+
+    return validate.errors.map(({ instancePath, message, params }) => {
+        const field = instancePath ? instancePath.slice(1).replace(/\//g, '.') : 'playbook';
+        if (params.additionalProperty) return `${field}: unknown field "${params.additionalProperty}"`;
+        return `${field}: ${message}`;
+    });
+}
+
+/**
+ * Reads playbooks straight from disk on every call, so hand-edited files
+ * are picked up without a restart.
+ */
+export default class PlaybookStore {
+    constructor({ directory = config.playbooks.directory } = {}) {
+        this.directory = directory;
+    }
+
+    async list() {
+        let files;
+        try {
+            files = await readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const playbooks = [];
+        for (const file of files.filter((name) => name.endsWith('.json')).sort()) {
+            const playbook = await this.read(file.slice(0, -'.json'.length));
+            if (playbook) playbooks.push(playbook);
+        }
+        return playbooks;
+    }
+
+    async get(id) {
+        return ID_PATTERN.test(id) ? this.read(id) : null;
+    }
+
+    async create(playbook) {
+        return this.save({ scope: 'page', ...playbook });
+    }
+
+    /**
+     * Merges the changes into the stored playbook. The id cannot change.
+     */
+    async update(id, changes) {
+        const existing = await this.get(id);
+        if (!existing) return null;
+        return this.save({ ...existing, ...changes, id });
+    }
+
+    /**
+     * Playbooks whose patterns match the URL, in id order.
+     */
+    async match(url) {
+        const playbooks = await this.list();
+        return playbooks.filter((playbook) =>
+            playbook.match.some((pattern) => matchesUrl(pattern, url))
+        );
+    }
+
+    async read(id) {
+        const path = join(this.directory, `${id}.json`);
+        let playbook;
+        try {
+            playbook = JSON.parse(await readFile(path, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            logger.warn('Skipping unreadable playbook', { path, error: error.message });
+            return null;
+        }
+
+        const errors = validatePlaybook(playbook);
+        if (errors.length > 0 || playbook.id !== id) {
+            logger.warn('Skipping invalid playbook', {
+                path,
+                errors: errors.length ? errors : ['id does not match the file name'],
+            });
+            return null;
+        }
+        return { scope: 'page', ...playbook };
+    }
+
+    async save(playbook) {
+        const record = { ...playbook, updatedAt: new Date().toISOString() };
+        const errors = validatePlaybook(record);
+        if (errors.length > 0) {
+            throw new Error(`Invalid playbook: ${errors.join('; ')}`);
+        }
+
+        await mkdir(this.directory, { recursive: true });
+        await writeFile(join(this.directory, `${record.id}.json`), JSON.stringify(record, null, 2));
+        return record;
+    }
+}
+
+export function matchesUrl(pattern, url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return false;
+    }
+
+    const source = pattern.replace(/^https?:\/\//, '').toLowerCase();
+    const target = (
+        source.includes('/') ? `${parsed.hostname}${parsed.pathname}${parsed.search}` : parsed.hostname
+    ).toLowerCase();
+
+    if (globToRegExp(source).test(target)) return true;
+    // "*.example.com" should cover the bare domain too
+    return source.startsWith('*.') && globToRegExp(source.slice(2)).test(target);
+}
+
+function globToRegExp(glob) {
+    const escaped = glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return new RegExp(`^${escaped}$`);
+}
+
+export const playbookStore = new PlaybookStore();
@@ -1,6 +1,7 @@
 import { describe, it, mock } from 'node:test';
 import assert from 'node:assert/strict';
 import ActionExecutor from '../src/executor/ActionExecutor.js';
+import ElementRegistry from '../src/context/ElementRegistry.js';
 
 describe('ActionExecutor', () => {
     it('lists all supported actions', () => {
@@ -47,9 +48,13 @@ describe('ActionExecutor', () => {
         const mockPage = {
             goto: mock.fn(async () => { }),
             url: mock.fn(() => 'https://example.com'),
-            click: mock.fn(async () => {
-                throw new Error('Element not found');
-            }),
+            locator: mock.fn(() => ({
+                first: () => ({
+                    click: mock.fn(async () => {
+                        throw new Error('Element not found');
+                    }),
+                }),
+            })),
         };
 
         const executor = new ActionExecutor(mockPage);
@@ -63,4 +68,532 @@ describe('ActionExecutor', () => {
         assert.equal(results[0].success, true);
         assert.equal(results[1].success, false);
     });
+
+    it('clicks an element by its observed index', async () => {
+        const handle = { click: mock.fn(async () => { }) };
+        const elements = { resolve: mock.fn(async () => handle) };
+        const mockPage = { waitForLoadState: mock.fn(async () => { }) };
+
+        const executor = new ActionExecutor(mockPage, { elements });
+        const result = await executor.execute({ action: 'click', element: 4 });
+
+        assert.equal(result.success, true);
+        assert.deepEqual(result.result, { clicked: '[4]' });
+        assert.equal(elements.resolve.mock.calls[0].arguments[0], 4);
+        assert.equal(handle.click.mock.callCount(), 1);
+    });
+
+    it('reports stale element references as failures', async () => {
+        const elements = new ElementRegistry();
+        await elements.replace([
+            { evaluate: async () => false, dispose: async () => { } },
+        ]);
+
+        const executor = new ActionExecutor({}, { elements });
+        const stale = await executor.execute({ action: 'hover', element: 0 });
+        assert.equal(stale.success, false);
+        assert.ok(stale.error.includes('Element [0] is stale'));
+
+        const missing = await executor.execute({ action: 'hover', element: 9 });
+        assert.ok(missing.error.includes('Element [9] does not exist'));
+    });
+
+    it('scopes selectors through the frame path', async () => {
+        const scopes = [];
+        const button = { click: mock.fn(async () => { }) };
+        const frameLocator = (selector) => {
+            scopes.push(selector);
+            return { frameLocator, locator: () => ({ first: () => button }) };
+        };
+        const mockPage = { frameLocator, waitForLoadState: mock.fn(async () => { }) };
+
+        const executor = new ActionExecutor(mockPage);
+        const result = await executor.execute({
+            action: 'click',
+            selector: '#pay',
+            frame: ['iframe#checkout', 'iframe[name="3ds"]'],
+        });
+
+        assert.equal(result.success, true);
+        assert.deepEqual(scopes, ['iframe#checkout', 'iframe[name="3ds"]']);
+        assert.deepEqual(result.result, { clicked: 'iframe#checkout >> iframe[name="3ds"] >> #pay' });
+    });
+
+    it('heals a stale element from its observed descriptor', async () => {
+        const healed = { count: async () => 1, hover: mock.fn(async () => { }) };
+        const mockPage = { getByRole: mock.fn(() => healed) };
+        const elements = new ElementRegistry();
+        await elements.replace(
+            [{ evaluate: async () => false, dispose: async () => { } }],
+            [{ tag: 'button', role: 'button', text: 'Add to cart', selector: 'button:nth-of-type(2)' }]
+        );
+
+        const executor = new ActionExecutor(mockPage, { elements });
+        const result = await executor.execute({ action: 'hover', element: 0 });
+
+        assert.equal(result.success, true);
+        assert.deepEqual(mockPage.getByRole.mock.calls[0].arguments, ['button', { name: 'Add to cart', exact: true }]);
+        assert.deepEqual(result.healedWith, { strategy: 'role', selector: 'role=button[name="Add to cart"]' });
+        assert.equal(healed.hover.mock.callCount(), 1);
+    });
+
+    it('matches text cut short during observation as a substring when healing', async () => {
+        const text = 'Accept the terms and conditions of the service agreement, including the privacy';
+        const healed = { count: async () => 1, click: mock.fn(async () => { }) };
+        const mockPage = {
+            getByRole: mock.fn(() => ({ count: async () => 0 })),
+            getByText: mock.fn(() => healed),
+            waitForLoadState: async () => { },
+        };
+        const elements = new ElementRegistry();
+        await elements.replace(
+            [{ evaluate: async () => false, dispose: async () => { } }],
+            [{ tag: 'a', role: 'link', text, textTruncated: true, selector: 'a.terms' }]
+        );
+
+        const executor = new ActionExecutor(mockPage, { elements });
+        const result = await executor.execute({ action: 'click', element: 0 });
+
+        assert.equal(result.success, true);
+        assert.deepEqual(mockPage.getByRole.mock.calls[0].arguments, ['link', { name: text, exact: false }]);
+        assert.deepEqual(mockPage.getByText.mock.calls[0].arguments, [text, { exact: false }]);
+        assert.deepEqual(result.healedWith, { strategy: 'text', selector: `text=${text}` });
+    });
+
+    it('falls back past ambiguous locators when an observed selector misses', async () => {
+        const field = { count: async () => 1, click: mock.fn(async () => { }), fill: mock.fn(async () => { }) };
+        const mockPage = {
+            locator: () => ({ first: () => ({ count: async () => 0 }) }),
+            getByRole: () => ({ count: async () => 2 }),
+            getByText: mock.fn(),
+            getByLabel: mock.fn(() => field),
+        };
+        const elements = new ElementRegistry();
+        await elements.replace(
+            [{ dispose: async () => { } }],
+            [{ tag: 'input', role: 'searchbox', text: '', ariaLabel: 'Search', selector: '#q-1234' }]
+        );
+
+        const executor = new ActionExecutor(mockPage, { elements });
+        const result = await executor.execute({ action: 'type', selector: '#q-1234', text: 'lamps' });
+
+        assert.equal(result.success, true);
+        assert.equal(mockPage.getByText.mock.callCount(), 0);
+        assert.deepEqual(result.healedWith, { strategy: 'label', selector: 'label="Search"' });
+        assert.equal(field.fill.mock.calls[0].arguments[0], 'lamps');
+
+        const unobserved = await executor.execute({ action: 'click', selector: '#unknown' });
+        assert.equal(unobserved.healedWith, undefined);
+    });
+
+    it('heals a form field by its <label> text, then by placeholder', async () => {
+        const field = { count: async () => 1, click: async () => { }, fill: mock.fn(async () => { }) };
+        const mockPage = {
+            locator: () => ({ first: () => ({ count: async () => 0 }) }),
+            getByRole: mock.fn(() => ({ count: async () => 0 })),
+            getByLabel: mock.fn(() => ({ count: async () => 0 })),
+            getByPlaceholder: mock.fn(() => field),
+        };
+        const elements = new ElementRegistry();
+        await elements.replace(
+            [{ dispose: async () => { } }],
+            [{
+                tag: 'input',
+                role: 'textbox',
+                text: '',
+                label: 'Email address',
+                placeholder: 'you@example.com',
+                selector: '#email-77',
+            }]
+        );
+
+        const executor = new ActionExecutor(mockPage, { elements });
+        const result = await executor.execute({ action: 'type', selector: '#email-77', text: 'a@b.test' });
+
+        assert.equal(result.success, true);
+        assert.deepEqual(mockPage.getByRole.mock.calls[0].arguments, ['textbox', { name: 'Email address', exact: true }]);
+        assert.deepEqual(mockPage.getByLabel.mock.calls[0].arguments, ['Email address', { exact: true }]);
+        assert.deepEqual(mockPage.getByPlaceholder.mock.calls[0].arguments, ['you@example.com', { exact: true }]);
+        assert.deepEqual(result.healedWith, { strategy: 'placeholder', selector: 'placeholder="you@example.com"' });
+        assert.equal(field.fill.mock.calls[0].arguments[0], 'a@b.test');
+    });
+
+    it('extracts rows by field map across pages up to the limit', async () => {
+        const pages = [
+            [{ name: 'Lamp', price: '$20' }, { name: 'Desk', price: '$90' }],
+            [{ name: 'Chair', price: '$45' }, { name: 'Rug', price: '$60' }],
+        ];
+        const cards = { evaluateAll: mock.fn(async () => pages[0]) };
+        const nextLink = {
+            count: async () => 1,
+            evaluate: async () => false,
+            click: mock.fn(async () => pages.shift()),
+        };
+        const mockPage = {
+            locator: (selector) => (selector === '.card' ? cards : { first: () => nextLink }),
+            waitForLoadState: async () => { },
+            waitForTimeout: async () => { },
+        };
+
+        const executor = new ActionExecutor(mockPage);
+        const fields = { name: 'h2', price: { selector: '.price' } };
+        const result = await executor.execute({
+            action: 'extract',
+            selector: '.card',
+            fields,
+            next: 'a.next',
+            limit: 3,
+        });
+
+        assert.equal(result.success, true);
+        assert.deepEqual(result.result, {
+            rows: [
+                { name: 'Lamp', price: '$20' },
+                { name: 'Desk', price: '$90' },
+                { name: 'Chair', price: '$45' },
+            ],
+            count: 3,
+            pages: 2,
+            truncated: true,
+        });
+        assert.equal(nextLink.click.mock.callCount(), 1);
+        assert.deepEqual(cards.evaluateAll.mock.calls[0].arguments[1], fields);
+    });
+
+    it('stops paginating a table when "next" does not change the rows', async () => {
+        const rows = [{ Name: 'Ada', Role: 'Admin' }];
+        const table = { count: async () => 1, evaluate: mock.fn(async () => rows) };
+        const nextLink = { count: async () => 1, evaluate: async () => false, click: mock.fn(async () => { }) };
+        const mockPage = {
+            locator: (selector) => ({ first: () => (selector === '#users' ? table : nextLink) }),
+            waitForLoadState: async () => { },
+            waitForTimeout: async () => { },
+        };
+
+        const executor = new ActionExecutor(mockPage);
+        const result = await executor.execute({ action: 'extract', selector: '#users', table: true, next: '.next' });
+
+        assert.deepEqual(result.result, { rows, count: 1, pages: 1 });
+        assert.equal(nextLink.click.mock.callCount(), 1);
+    });
+
+    it('double-clicks and right-clicks a target', async () => {
+        const handle = { dblclick: mock.fn(async () => { }), click: mock.fn(async () => { }) };
+        const elements = { resolve: async () => handle };
+        const mockPage = { waitForLoadState: async () => { } };
+
+        const executor = new ActionExecutor(mockPage, { elements });
+        const double = await executor.execute({ action: 'dblclick', element: 2 });
+        const right = await executor.execute({ action: 'rightclick', element: 2 });
+
+        assert.deepEqual(double.result, { doubleClicked: '[2]' });
+        assert.deepEqual(right.result, { rightClicked: '[2]' });
+        assert.equal(handle.dblclick.mock.callCount(), 1);
+        assert.equal(handle.click.mock.calls[0].arguments[0].button, 'right');
+    });
+
+    it('drags from the centre of one element onto another', async () => {
+        const box = (x, y) => ({
+            scrollIntoViewIfNeeded: async () => { },
+            boundingBox: async () => ({ x, y, width: 100, height: 40 }),
+        });
+        const handles = { 1: box(0, 0), 7: box(400, 200) };
+        const elements = { resolve: async (index) => handles[index] };
+        const moves = [];
+        const mouse = {
+            move: async (x, y, options) => moves.push(['move', x, y, options?.steps]),
+            down: async () => moves.push(['down']),
+            up: async () => moves.push(['up']),
+        };
+
+        const executor = new ActionExecutor({ mouse }, { elements });
+        const result = await executor.execute({ action: 'drag', element: 1, to: { element: 7 } });
+
+        assert.deepEqual(result.result, { dragged: '[1]', to: '[7]' });
+        assert.deepEqual(moves, [['move', 50, 20, undefined], ['down'], ['move', 450, 220, 10], ['up']]);
+    });
+
+    it('drags by a pixel offset', async () => {
+        const slider = {
+            scrollIntoViewIfNeeded: async () => { },
+            boundingBox: async () => ({ x: 100, y: 300, width: 20, height: 20 }),
+        };
+        const moves = [];
+        const mouse = {
+            move: async (x, y) => moves.push([x, y]),
+            down: async () => { },
+            up: async () => { },
+        };
+        const mockPage = { mouse, locator: () => ({ first: () => slider }) };
+
+        const executor = new ActionExecutor(mockPage);
+        const result = await executor.execute({ action: 'drag', selector: '.thumb', offset: { x: 80, y: 0 } });
+
+        assert.deepEqual(result.result, { dragged: '.thumb', to: { x: 80, y: 0 } });
+        assert.deepEqual(moves, [[110, 310], [190, 310]]);
+    });
+
+    it('clicks at viewport coordinates inside the viewport only', async () => {
+        const mockPage = {
+            viewportSize: () => ({ width: 1280, height: 720 }),
+            mouse: { click: mock.fn(async () => { }) },
+            waitForLoadState: async () => { },
+        };
+
+        const executor = new ActionExecutor(mockPage);
+        const result = await executor.execute({ action: 'clickat', x: 640, y: 360, clickCount: 2 });
+        assert.deepEqual(result.result, { clickedAt: { x: 640, y: 360 }, button: 'left' });
+        assert.deepEqual(mockPage.mouse.click.mock.calls[0].arguments, [640, 360, { button: 'left', clickCount: 2 }]);
+
+        const outside = await executor.execute({ action: 'clickat', x: 1500, y: 10 });
+        assert.equal(outside.success, false);
+        assert.match(outside.error, /outside the 1280x720 viewport/);
+    });
+
+    it('goes back, forward and reloads', async () => {
+        let url = 'https://shop.test/item/2';
+        const mockPage = {
+            url: () => url,
+            goBack: mock.fn(async () => {
+                url = 'https://shop.test/search';
+                return {};
+            }),
+            goForward: mock.fn(async () => null),
+            reload: mock.fn(async () => ({})),
+        };
+
+        const executor = new ActionExecutor(mockPage);
+        const back = await executor.execute({ action: 'back' });
+        assert.deepEqual(back.result, { wentBackTo: 'https://shop.test/search' });
+
+        const reload = await executor.execute({ action: 'reload' });
+        assert.deepEqual(reload.result, { reloaded: 'https://shop.test/search' });
+
+        // No history entry: the URL stays put
+        const forward = await executor.execute({ action: 'forward' });
+        assert.equal(forward.success, false);
+        assert.match(forward.error, /no next page/);
+    });
+
+    it('waits for page-state conditions with a timeout', async () => {
+        const mockPage = {
+            url: () => 'https://shop.test/checkout/success',
+            waitForLoadState: mock.fn(async () => { }),
+            waitForURL: mock.fn(async (predicate) => {
+                assert.equal(predicate(new URL('https://shop.test/checkout/success')), true);
+            }),
+            waitForSelector: mock.fn(async () => {
+                const error = new Error('page.waitForSelector: Timeout 2000ms exceeded.');
+                error.name = 'TimeoutError';
+                throw error;
+            }),
+        };
+
+        const executor = new ActionExecutor(mockPage);
+        const idle = await executor.execute({ action: 'wait', networkIdle: true });
+        assert.equal(idle.result.waitedFor, 'networkIdle');
+        assert.deepEqual(mockPage.waitForLoadState.mock.calls[0].arguments, ['networkidle', { timeout: 10_000 }]);
+
+        const url = await executor.execute({ action: 'wait', forUrl: '/checkout/success' });
+        assert.equal(url.result.url, 'https://shop.test/checkout/success');
+        assert.equal(typeof url.result.elapsedMs, 'number');
+
+        const hidden = await executor.execute({ action: 'wait', forHidden: '.spinner', milliseconds: 2000 });
+        assert.equal(hidden.error, 'Timed out after 2000ms waiting for element ".spinner" to disappear');
+        assert.deepEqual(mockPage.waitForSelector.mock.calls[0].arguments, ['.spinner', { state: 'hidden', timeout: 2000 }]);
+
+        // 0 would turn Playwright's timeout off
+        await executor.execute({ action: 'wait', forHidden: '.spinner', milliseconds: 0 });
+        assert.equal(mockPage.waitForSelector.mock.calls[1].arguments[1].timeout, 10_000);
+
+        const both = await executor.execute({ action: 'wait', forText: 'Done', networkIdle: true });
+        assert.match(both.error, /one condition at a time — got forText, networkIdle/);
+    });
+
+    it('stops a batch with a re-observe marker when the URL changes', async () => {
+        let url = 'https://shop.test/cart';
+        const checkout = { click: mock.fn(async () => { url = 'https://shop.test/login'; }) };
+        const mockPage = {
+            url: () => url,
+            locator: () => ({ first: () => checkout }),
+            waitForLoadState: async () => { },
+            waitForTimeout: mock.fn(async () => { }),
+        };
+
+        const executor = new ActionExecutor(mockPage);
+        const results = await executor.executeBatch([
+            { action: 'click', selector: '#checkout' },
+            { action: 'wait', milliseconds: 500 },
+            { action: 'type', selector: '#coupon', text: 'SAVE10' },
+            { action: 'click', selector: '#apply' },
+        ]);
+
+        assert.equal(results.length, 3);
+        assert.equal(mockPage.waitForTimeout.mock.callCount(), 1);
+        assert.deepEqual(results[2], {
+            action: 'type',
+            pageChanged: true,
+            reason: 'the URL changed to https://shop.test/login',
+            url: 'https://shop.test/login',
+            skipped: 2,
+        });
+        assert.equal(checkout.click.mock.callCount(), 1);
+    });
+
+    it('treats a large DOM mutation as a page change but not a small one', async () => {
+        let changed = 0;
+        const evaluate = mock.fn(async (fn) => {
+            if (fn.name === 'startDomWatch') {
+                changed = 0;
+                return 400;
+            }
+            if (fn.name === 'readDomWatch') return changed;
+            return undefined;
+        });
+        const button = { click: mock.fn(async () => { changed += 20; }) };
+        const mockPage = {
+            url: () => 'https://app.test/#/inbox',
+            evaluate,
+            locator: () => ({ first: () => button }),
+            waitForLoadState: async () => { },
+        };
+
+        const executor = new ActionExecutor(mockPage);
+        const small = await executor.executeBatch([
+            { action: 'click', selector: '#a' },
+            { action: 'click', selector: '#b' },
+        ]);
+        assert.equal(small.every((r) => r.success), true);
+
+        button.click = mock.fn(async () => { changed += 300; });
+        const large = await executor.executeBatch([
+            { action: 'click', selector: '#settings' },
+            { action: 'click', selector: '#b' },
+        ]);
+        assert.equal(large[1].pageChanged, true);
+        assert.match(large[1].reason, /elements were added or removed \(the page had 400\)/);
+        assert.ok(evaluate.mock.calls.some((call) => call.arguments[0].name === 'stopDomWatch'));
+    });
+
+    it('types key by key and returns the suggestions that appear', async () => {
+        const suggestions = [
+            { text: 'Berlin, Germany', selector: '[id="city-list"] >> [role="option"] >> nth=0' },
+            { text: 'Bern, Switzerland', selector: '[id="city-list"] >> [role="option"] >> nth=1' },
+        ];
+        const polls = [null, null, suggestions];
+        const field = {
+            fill: mock.fn(async () => { }),
+            focus: mock.fn(async () => { }),
+            evaluate: mock.fn(async () => polls.shift()),
+        };
+        const mockPage = {
+            keyboard: { type: mock.fn(async () => { }) },
+            waitForTimeout: mock.fn(async () => { }),
+        };
+
+        const executor = new ActionExecutor(mockPage, { elements: { resolve: async () => field } });
+        const result = await executor.execute({
+            action: 'type',
+            element: 2,
+            text: 'ber',
+            mode: 'keys',
+            delayMs: 80,
+            suggestions: true,
+        });
+
+        assert.deepEqual(result.result, { typed: 3, into: '[2]', mode: 'keys', suggestions });
+        assert.deepEqual(field.fill.mock.calls[0].arguments, ['']);
+        assert.deepEqual(mockPage.keyboard.type.mock.calls[0].arguments, ['ber', { delay: 80 }]);
+        assert.deepEqual(field.evaluate.mock.calls[0].arguments[1], { listSelector: null, max: 10 });
+        assert.equal(mockPage.waitForTimeout.mock.callCount(), 2);
+    });
+
+    it('returns no suggestions when the list never shows up', async () => {
+        const field = {
+            click: async () => { },
+            fill: mock.fn(async () => { }),
+            evaluate: mock.fn(async () => null),
+        };
+        const mockPage = { waitForTimeout: async () => { } };
+
+        const executor = new ActionExecutor(mockPage, { elements: { resolve: async () => field } });
+        const result = await executor.execute({ action: 'type', element: 0, text: 'zz', suggestions: '.ac-menu' });
+
+        assert.deepEqual(result.result, { typed: 2, into: '[0]', suggestions: [] });
+        assert.equal(field.fill.mock.calls[0].arguments[0], 'zz');
+        assert.equal(field.evaluate.mock.calls[0].arguments[1].listSelector, '.ac-menu');
+    });
+
+    it('refuses page scripts unless the session allows them', async () => {
+        const mockPage = { evaluate: mock.fn(async () => 3) };
+
+        const executor = new ActionExecutor(mockPage);
+        const result = await executor.execute({ action: 'evaluate', script: 'document.links.length' });
+
+        assert.equal(result.success, false);
+        assert.match(result.error, /"evaluate" action is disabled/);
+        assert.equal(mockPage.evaluate.mock.callCount(), 0);
+    });
+
+    it('runs page scripts under the policy caps and echoes the script', async () => {
+        const policy = { enabled: true, maxResultBytes: 32, timeoutMs: 50 };
+        const replies = [
+            async () => ['$20', '$90'],
+            async () => 'x'.repeat(100),
+            () => new Promise(() => { }),
+        ];
+        const mockPage = { evaluate: mock.fn(() => replies.shift()()) };
+        const executor = new ActionExecutor(mockPage, { evaluatePolicy: policy });
+
+        const script = "[...document.querySelectorAll('.price')].map((el) => el.textContent)";
+        const small = await executor.execute({ action: 'evaluate', script });
+        assert.deepEqual(small.result, { script, value: ['$20', '$90'], bytes: 13 });
+        assert.equal(mockPage.evaluate.mock.calls[0].arguments[0], script);
+
+        const large = await executor.execute({ action: 'evaluate', script: 'document.body.innerHTML' });
+        assert.equal(large.result.truncated, true);
+        assert.equal(large.result.bytes, 102);
+        assert.equal(large.result.preview.length, 32);
+        assert.equal(large.result.value, undefined);
+
+        const hung = await executor.execute({ action: 'evaluate', script: 'new Promise(() => {})' });
+        assert.equal(hung.error, 'Script did not finish within 50ms');
+        assert.deepEqual(hung.details, { script: 'new Promise(() => {})' });
+    });
+
+    it('truncates page script results by bytes, not characters', async () => {
+        const mockPage = { evaluate: async () => 'é'.repeat(40) };
+        const executor = new ActionExecutor(mockPage, {
+            evaluatePolicy: { enabled: true, maxResultBytes: 32, timeoutMs: 50 },
+        });
+
+        const { result } = await executor.execute({ action: 'evaluate', script: 'document.title' });
+        assert.equal(result.bytes, 82);
+        assert.equal(result.preview, `"${'é'.repeat(15)}`);
+        assert.ok(Buffer.byteLength(result.preview) <= 32);
+    });
+
+    it('replaces the tab when a timed-out script keeps the page busy', async () => {
+        // A busy main thread answers nothing, not even a trivial evaluate
+        const stuckPage = { url: () => 'https://app.test/report', evaluate: () => new Promise(() => { }) };
+        const freshPage = { url: () => 'https://app.test/report' };
+        const tabs = {
+            pendingDialog: () => null,
+            replaceTab: mock.fn(async () => freshPage),
+        };
+        const executor = new ActionExecutor(stuckPage, {
+            tabs,
+            evaluatePolicy: { enabled: true, maxResultBytes: 32, timeoutMs: 20 },
+        });
+
+        const result = await executor.execute({ action: 'evaluate', script: 'while (true) {}' });
+        assert.equal(result.success, false);
+        assert.equal(
+            result.error,
+            'Script did not finish within 20ms and kept the page busy — the tab was reopened at https://app.test/report'
+        );
+        assert.deepEqual(result.details, { script: 'while (true) {}' });
+        assert.equal(tabs.replaceTab.mock.calls[0].arguments[0], stuckPage);
+    });
 });
+
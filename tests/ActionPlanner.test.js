@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import ActionPlanner from '../src/planner/ActionPlanner.js';
+
+function oneShotProvider(reply, usage = { promptTokens: 100, completionTokens: 20 }) {
+    const calls = [];
+    return {
+        name: 'scripted',
+        calls,
+        startChat() { },
+        async complete(message, options) {
+            calls.push({ message, options });
+            return { text: reply, usage };
+        },
+    };
+}
+
+describe('ActionPlanner one-shot calls', () => {
+    it('decomposes a task into trimmed sub-goals', async () => {
+        const planner = new ActionPlanner();
+        planner.provider = oneShotProvider('{"subgoals":[" Open docs ","", "Find the API page"]}');
+
+        const subgoals = await planner.decomposeTask('Find the API docs', 'https://example.com');
+
+        assert.deepEqual(subgoals, ['Open docs', 'Find the API page']);
+        assert.ok(planner.provider.calls[0].message.includes('https://example.com'));
+        assert.ok(planner.provider.calls[0].options.systemPrompt.includes('sub-goals'));
+        assert.equal(planner.usage.totals().calls, 1);
+    });
+
+    it('rejects an empty sub-goal plan', async () => {
+        const planner = new ActionPlanner();
+        planner.provider = oneShotProvider('{"subgoals":[]}');
+        await assert.rejects(planner.decomposeTask('task'), /Sub-goal plan was empty/);
+    });
+
+    it('asks the verifier with task, claim, page and history', async () => {
+        const planner = new ActionPlanner();
+        planner.setTask('What is the price of the Pro plan?');
+        planner.provider = oneShotProvider(
+            '{"supported":false,"objection":"The page shows $20, not $10."}'
+        );
+
+        const verdict = await planner.verifyResult(
+            '$10 per month',
+            { url: 'https://example.com/pricing', title: 'Pricing', visibleText: 'Pro $20/mo' },
+            [
+                {
+                    step: 1,
+                    plan: { thinking: 'Open pricing', actions: [{ action: 'click', element: 2 }] },
+                    results: [{ success: true }],
+                },
+            ],
+            2
+        );
+
+        assert.deepEqual(verdict, {
+            supported: false,
+            objection: 'The page shows $20, not $10.',
+        });
+
+        const { message } = planner.provider.calls[0];
+        assert.ok(message.includes('What is the price of the Pro plan?'));
+        assert.ok(message.includes('$10 per month'));
+        assert.ok(message.includes('Pro $20/mo'));
+        assert.ok(message.includes('- Step 1: Open pricing → click [2] ✓'));
+    });
+});
+
+describe('ActionPlanner system-scope playbooks', () => {
+    it('appends playbook hints to the system prompt before the chat starts', () => {
+        const planner = new ActionPlanner();
+        const events = [];
+        planner.provider = {
+            setSystemPrompt(prompt) { events.push(['system', prompt]); },
+            startChat() { events.push(['chat']); },
+        };
+
+        planner.setTask('Log in', {
+            playbooks: [{ name: 'GitHub', hints: 'Use the "Sign in" link, not SSO.' }],
+        });
+
+        assert.equal(events[0][0], 'system');
+        assert.ok(events[0][1].endsWith('## Site Playbook: GitHub\nUse the "Sign in" link, not SSO.'));
+        assert.deepEqual(events[1], ['chat']);
+    });
+});
+
+describe('ActionPlanner output contract', () => {
+    it('spells out the output schema in the task message and parses "output"', () => {
+        const planner = new ActionPlanner();
+        planner.provider = { startChat() { } };
+
+        planner.setTask('Get the Pro price', {
+            outputSchema: { type: 'object', required: ['priceUsd'] },
+        });
+        const plan = planner.parseResponse('{"done":true,"result":"$20","output":{"priceUsd":20}}');
+
+        assert.ok(planner.history.taskMessage.includes('## Output Contract'));
+        assert.ok(planner.history.taskMessage.includes('"required": [\n    "priceUsd"'));
+        assert.deepEqual(plan.output, { priceUsd: 20 });
+    });
+});
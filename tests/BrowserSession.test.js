@@ -0,0 +1,248 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import BrowserSession from '../src/browser/BrowserSession.js';
+import ActionExecutor from '../src/executor/ActionExecutor.js';
+
+function fakePage(url) {
+    const page = new EventEmitter();
+    Object.assign(page, {
+        url: () => url,
+        title: async () => `Title of ${url}`,
+        setDefaultNavigationTimeout() { },
+        setDefaultTimeout() { },
+        bringToFront: async () => { },
+        close: async () => page.emit('close'),
+        keyboard: { press: async () => { } },
+    });
+    return page;
+}
+
+describe('BrowserSession tabs', () => {
+    it('activates new pages and falls back when the active tab closes', async () => {
+        const session = new BrowserSession();
+        const activated = [];
+        session.on('page:active', (page) => activated.push(page.url()));
+
+        const first = fakePage('https://a.test/');
+        const popup = fakePage('https://b.test/');
+        session.track(first);
+        session.track(popup);
+
+        assert.equal(session.page, popup);
+        assert.deepEqual(
+            (await session.listTabs()).map(({ index, active }) => [index, active]),
+            [[0, false], [1, true]]
+        );
+
+        await popup.close();
+        assert.equal(session.page, first);
+        assert.deepEqual(activated, ['https://a.test/', 'https://b.test/', 'https://a.test/']);
+        await assert.rejects(session.closeTab(0), /Cannot close the last open tab/);
+    });
+
+    it('lets tab actions retarget the rest of a batch', async () => {
+        const session = new BrowserSession();
+        const first = fakePage('https://a.test/');
+        const second = fakePage('https://b.test/');
+        session.track(first);
+        session.track(second);
+
+        const executor = new ActionExecutor(session.page, { tabs: session });
+        session.on('page:active', (page) => executor.setPage(page));
+
+        const results = await executor.executeBatch([
+            { action: 'switchtab', index: 0 },
+            { action: 'listtabs' },
+        ]);
+
+        assert.deepEqual(results[0].result, { switchedTo: 0, url: 'https://a.test/' });
+        assert.equal(executor.page, first);
+        assert.equal(results[1].result.tabs[0].active, true);
+
+        const missing = await executor.execute({ action: 'switchtab', index: 5 });
+        assert.match(missing.error, /Tab 5 does not exist/);
+    });
+
+    it('handles dialogs per policy and defers the rest to the model', async () => {
+        const session = new BrowserSession({
+            dialogPolicy: { alert: 'accept', confirm: 'defer', prompt: 'defer', beforeunload: 'dismiss' },
+        });
+        const page = fakePage('https://a.test/');
+        session.track(page);
+
+        const answers = [];
+        const dialog = (type, message, defaultValue = '') => ({
+            type: () => type,
+            message: () => message,
+            defaultValue: () => defaultValue,
+            accept: async (text) => answers.push([type, 'accept', text]),
+            dismiss: async () => answers.push([type, 'dismiss']),
+        });
+
+        await session.handleDialog(page, dialog('alert', 'Saved!'));
+        await session.handleDialog(page, dialog('prompt', 'Your name?', 'anon'));
+
+        assert.deepEqual(answers, [['alert', 'accept', '']]);
+        assert.equal(session.pendingDialog().message, 'Your name?');
+        assert.deepEqual(session.takeDialogs().map((d) => d.handled), ['accepted', 'pending']);
+
+        const executor = new ActionExecutor(page, { tabs: session });
+        const blocked = await executor.execute({ action: 'keypress', key: 'Enter' });
+        assert.match(blocked.error, /A prompt dialog is open \("Your name\?"\)/);
+
+        const answered = await executor.execute({ action: 'dialog', accept: true, text: 'Ada' });
+        assert.deepEqual(answered.result, { type: 'prompt', message: 'Your name?', accepted: true, text: 'Ada' });
+        assert.deepEqual(answers[1], ['prompt', 'accept', 'Ada']);
+        assert.equal(session.pendingDialog(), null);
+    });
+
+    it('reports a click that opens a deferred confirm as done, then answers it', async () => {
+        const session = new BrowserSession({ dialogPolicy: { confirm: 'defer' } });
+        const page = fakePage('https://a.test/');
+        const answers = [];
+        const confirm = {
+            type: () => 'confirm',
+            message: () => 'Delete this item?',
+            defaultValue: () => '',
+            accept: async () => answers.push('accept'),
+            dismiss: async () => answers.push('dismiss'),
+        };
+        // Like Playwright, the click does not finish while its dialog is open
+        const deleteButton = {
+            click: async () => {
+                await session.handleDialog(page, confirm);
+                return new Promise(() => { });
+            },
+        };
+        page.locator = () => ({ first: () => deleteButton });
+        session.track(page);
+
+        const executor = new ActionExecutor(page, { tabs: session });
+        const clicked = await executor.execute({ action: 'click', selector: '#delete' });
+        assert.deepEqual(clicked, {
+            success: true,
+            action: 'click',
+            dialogOpened: { type: 'confirm', message: 'Delete this item?' },
+        });
+        assert.equal(session.listenerCount('dialog'), 0);
+
+        const answered = await executor.execute({ action: 'dialog', accept: false });
+        assert.equal(answered.success, true);
+        assert.deepEqual(answers, ['dismiss']);
+    });
+
+    it('stops a batch with a re-observe marker once an action opens a deferred dialog', async () => {
+        const session = new BrowserSession({ dialogPolicy: { confirm: 'defer' } });
+        const page = fakePage('https://a.test/');
+        const confirm = {
+            type: () => 'confirm',
+            message: () => 'Delete this item?',
+            defaultValue: () => '',
+            accept: async () => { },
+            dismiss: async () => { },
+        };
+        const clicked = [];
+        page.locator = (selector) => ({
+            first: () => ({
+                click: async () => {
+                    clicked.push(selector);
+                    if (selector !== '#delete') return;
+                    await session.handleDialog(page, confirm);
+                    await new Promise(() => { });
+                },
+            }),
+        });
+        session.track(page);
+
+        const executor = new ActionExecutor(page, { tabs: session });
+        const results = await executor.executeBatch([
+            { action: 'click', selector: '#delete' },
+            { action: 'click', selector: '#next' },
+            { action: 'click', selector: '#last' },
+        ]);
+
+        assert.deepEqual(clicked, ['#delete']);
+        assert.equal(results[0].success, true);
+        assert.deepEqual(results[1], {
+            action: 'click',
+            pageChanged: true,
+            reason: 'a confirm dialog opened',
+            url: 'https://a.test/',
+            skipped: 2,
+        });
+    });
+
+    it('answers a deferred dialog in a batch without evaluating in the blocked page', async () => {
+        const session = new BrowserSession({ dialogPolicy: { confirm: 'defer' } });
+        const page = fakePage('https://a.test/');
+        let evaluations = 0;
+        // A blocked page never answers
+        page.evaluate = () => {
+            evaluations++;
+            return new Promise(() => { });
+        };
+        session.track(page);
+
+        await session.handleDialog(page, {
+            type: () => 'confirm',
+            message: () => 'Delete?',
+            defaultValue: () => '',
+            accept: async () => { },
+            dismiss: async () => { },
+        });
+
+        const executor = new ActionExecutor(page, { tabs: session });
+        const results = await executor.executeBatch([{ action: 'dialog', accept: true }]);
+
+        assert.equal(results[0].success, true);
+        assert.equal(evaluations, 0);
+    });
+
+    it('waits for requests already in flight before calling the network idle', async () => {
+        const session = new BrowserSession();
+        const page = fakePage('https://a.test/');
+        session.track(page);
+
+        // Fired by the previous action, still running when the wait starts
+        const request = {};
+        page.emit('request', request);
+        setTimeout(() => page.emit('requestfinished', request), 100);
+
+        const started = Date.now();
+        await session.waitForNetworkIdle(page, { timeout: 5000 });
+        assert.ok(Date.now() - started >= 550);
+
+        page.emit('request', {});
+        await assert.rejects(session.waitForNetworkIdle(page, { timeout: 200 }), {
+            name: 'TimeoutError',
+            message: /1 requests still in flight after 200ms/,
+        });
+    });
+
+    it('replaces a stuck tab with a fresh one at the same URL and position', async () => {
+        const session = new BrowserSession();
+        const first = fakePage('https://a.test/');
+        const stuck = fakePage('https://b.test/report');
+        session.track(first);
+        session.track(stuck);
+        session.track(fakePage('https://c.test/'));
+
+        const visited = [];
+        session.context = {
+            newPage: async () => {
+                const page = fakePage('about:blank');
+                page.goto = async (url) => visited.push(url);
+                session.track(page);
+                return page;
+            },
+        };
+
+        const fresh = await session.replaceTab(stuck);
+
+        assert.deepEqual(visited, ['https://b.test/report']);
+        assert.equal(session.pages.length, 3);
+        assert.equal(session.pages[1], fresh);
+        assert.equal(session.page, fresh);
+    });
+});
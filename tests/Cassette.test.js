@@ -0,0 +1,130 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync } from 'fs';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { createServer } from 'http';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { chromium } from 'playwright';
+import CassetteProvider, { fingerprintPage } from '../src/planner/providers/CassetteProvider.js';
+import AgentLoop from '../src/agent/AgentLoop.js';
+
+const FIXTURES = new URL('./fixtures/', import.meta.url);
+const hasBrowser = existsSync(chromium.executablePath());
+
+const counterPage = {
+    url: 'http://127.0.0.1:8080/counter.html',
+    title: 'Counter Fixture',
+    interactiveElements: [{ tag: 'button', text: 'Increment', selector: '#increment' }],
+    visibleText: 'Counter Count: 0 Increment',
+};
+
+describe('CassetteProvider', () => {
+    let dir;
+
+    before(async () => {
+        dir = await mkdtemp(join(tmpdir(), 'yocrawl-cassette-'));
+    });
+
+    after(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it('fingerprints pages independently of origin and visible text', () => {
+        const moved = {
+            ...counterPage,
+            url: 'http://localhost:9999/counter.html',
+            visibleText: 'Counter Count: 7 Increment',
+        };
+        assert.equal(fingerprintPage(moved), fingerprintPage(counterPage));
+
+        const changed = { ...counterPage, title: 'Other' };
+        assert.notEqual(fingerprintPage(changed), fingerprintPage(counterPage));
+
+        const withAd = {
+            ...counterPage,
+            interactiveElements: [
+                ...counterPage.interactiveElements,
+                { tag: 'a', text: 'Buy now', selector: '#ad', frame: ['iframe#ad'] },
+            ],
+        };
+        assert.equal(fingerprintPage(withAd), fingerprintPage(counterPage));
+    });
+
+    it('replays exactly what it recorded', async () => {
+        const path = join(dir, 'roundtrip.json');
+        let calls = 0;
+        const live = {
+            name: 'fake',
+            startChat() { },
+            async send(message) {
+                calls++;
+                return { text: `reply to ${message}` };
+            },
+        };
+
+        const recorder = new CassetteProvider(live, { mode: 'record', path });
+        recorder.setScope(1, counterPage);
+        await recorder.send('first');
+        await recorder.send('repair');
+        recorder.setScope(2, counterPage);
+        await recorder.send('second');
+        assert.equal(calls, 3);
+
+        const saved = JSON.parse(await readFile(path, 'utf8'));
+        assert.equal(saved.provider, 'fake');
+        assert.equal(Object.keys(saved.interactions).length, 2);
+
+        const player = new CassetteProvider(null, { mode: 'replay', path, provider: 'fake' });
+        player.setScope(1, counterPage);
+        assert.equal((await player.send('anything')).text, 'reply to first');
+        assert.equal((await player.send('anything')).text, 'reply to repair');
+        player.setScope(2, counterPage);
+        assert.equal((await player.send('anything')).text, 'reply to second');
+        assert.equal(calls, 3);
+    });
+
+    it('fails loudly when the run diverges from the cassette', async () => {
+        const path = new URL('cassettes/counter.json', FIXTURES).pathname;
+        const player = new CassetteProvider(null, { mode: 'replay', path, provider: 'gemini' });
+        player.setScope(5, counterPage);
+        await assert.rejects(player.send('x'), /Cassette miss: no recorded response #1 for "5:/);
+    });
+});
+
+describe('AgentLoop replay', { skip: !hasBrowser && 'Playwright Chromium is not installed' }, () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        server = createServer(async (req, res) => {
+            try {
+                const body = await readFile(new URL(`pages${req.url}`, FIXTURES));
+                res.writeHead(200, { 'Content-Type': 'text/html' }).end(body);
+            } catch {
+                res.writeHead(404).end();
+            }
+        });
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise((resolve) => server.close(resolve)));
+
+    it('runs a full task offline against a fixture page', async () => {
+        const agent = new AgentLoop({
+            headless: true,
+            stepDelayMs: 0,
+            cassette: {
+                mode: 'replay',
+                path: new URL('cassettes/counter.json', FIXTURES).pathname,
+            },
+        });
+
+        const report = await agent.run('Click Increment once', `${baseUrl}/counter.html`);
+
+        assert.equal(report.result, 'The counter shows 1.');
+        assert.equal(report.totalSteps, 2);
+        assert.equal(report.history[0].results[0].success, true);
+    });
+});
@@ -0,0 +1,134 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import DownloadCollector from '../src/browser/DownloadCollector.js';
+import ActionExecutor from '../src/executor/ActionExecutor.js';
+import config from '../src/config.js';
+
+function fakeDownload(name, content) {
+    return {
+        suggestedFilename: () => name,
+        url: () => `https://example.com/${name}`,
+        saveAs: async (path) => writeFile(path, content),
+        failure: async () => null,
+    };
+}
+
+describe('DownloadCollector', () => {
+    let dir;
+
+    before(async () => {
+        dir = await mkdtemp(join(tmpdir(), 'yocrawl-downloads-'));
+    });
+
+    after(() => rm(dir, { recursive: true, force: true }));
+
+    it('saves into a per-session folder without clobbering names', async () => {
+        const collector = new DownloadCollector('session-1', { directory: dir });
+
+        collector.capture(fakeDownload('report.csv', 'a,b'));
+        collector.capture(fakeDownload('../report.csv', 'c,d'));
+        const drained = await collector.drain();
+
+        assert.deepEqual(drained.map((a) => a.name), ['report.csv', 'report-1.csv']);
+        assert.equal(drained[0].size, 3);
+        assert.equal('path' in drained[0], false);
+        assert.equal(await readFile(join(dir, 'session-1', 'report-1.csv'), 'utf8'), 'c,d');
+        assert.deepEqual(await collector.drain(), []);
+    });
+
+    it('reports downloads with the action that triggered them', async () => {
+        const collector = new DownloadCollector('session-2', { directory: dir });
+        const page = {
+            keyboard: {
+                press: async () => {
+                    collector.capture(fakeDownload('export.json', '{}'));
+                },
+            },
+        };
+
+        const executor = new ActionExecutor(page, { downloads: collector });
+        const result = await executor.execute({ action: 'keypress', key: 'Enter' });
+
+        assert.equal(result.success, true);
+        assert.equal(result.downloads[0].name, 'export.json');
+        assert.equal(collector.get('export.json').path, join(dir, 'session-2', 'export.json'));
+    });
+
+    it('reports a slow download as pending instead of waiting for it', async () => {
+        const collector = new DownloadCollector('session-3', { directory: dir, waitMs: 20 });
+        let finish;
+        const slow = {
+            ...fakeDownload('video.mp4', 'frames'),
+            saveAs: (path) => new Promise((resolve) => {
+                finish = () => writeFile(path, 'frames').then(resolve);
+            }),
+        };
+
+        const saving = collector.capture(slow);
+        assert.deepEqual(await collector.drain(), [
+            { name: 'video.mp4', url: 'https://example.com/video.mp4', pending: true },
+        ]);
+        assert.deepEqual(await collector.drain(), []);
+
+        await finish();
+        await saving;
+        const [saved] = await collector.drain();
+        assert.equal(saved.name, 'video.mp4');
+        assert.equal(saved.size, 6);
+        assert.equal(saved.pending, undefined);
+    });
+
+    it('deletes the session folder on remove', async () => {
+        const collector = new DownloadCollector('session-4', { directory: dir });
+        await collector.capture(fakeDownload('a.txt', 'a'));
+
+        await collector.remove();
+        await assert.rejects(() => readFile(join(dir, 'session-4', 'a.txt')), { code: 'ENOENT' });
+    });
+});
+
+describe('upload action', () => {
+    let dir;
+    const original = config.uploads.directory;
+
+    before(async () => {
+        dir = await mkdtemp(join(tmpdir(), 'yocrawl-inputs-'));
+        await writeFile(join(dir, 'invoice.pdf'), '%PDF');
+        config.uploads.directory = dir;
+    });
+
+    after(async () => {
+        config.uploads.directory = original;
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it('sets files on a file input from the uploads directory', async () => {
+        let attached = null;
+        const input = {
+            evaluate: async () => true,
+            setInputFiles: async (paths) => {
+                attached = paths;
+            },
+        };
+        const page = { locator: () => ({ first: () => input }) };
+
+        const executor = new ActionExecutor(page);
+        const result = await executor.execute({ action: 'upload', selector: '#file', files: ['invoice.pdf'] });
+
+        assert.equal(result.success, true);
+        assert.deepEqual(attached, [join(dir, 'invoice.pdf')]);
+    });
+
+    it('refuses files outside the uploads directory and lists what exists', async () => {
+        const executor = new ActionExecutor({ locator: () => ({ first: () => ({}) }) });
+
+        const escaped = await executor.execute({ action: 'upload', selector: '#f', files: ['../secret.txt'] });
+        assert.match(escaped.error, /outside the uploads directory/);
+
+        const missing = await executor.execute({ action: 'upload', selector: '#f', files: ['nope.pdf'] });
+        assert.match(missing.error, /not found in the uploads directory\. Available: invoice\.pdf/);
+    });
+});
@@ -0,0 +1,102 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import HistoryManager from '../src/planner/HistoryManager.js';
+
+function addStep(history, step, { url = `https://site.test/${step}`, error, filler = '' } = {}) {
+    history.recordResults(null);
+    history.recordStep({
+        step,
+        url,
+        userMessage: `## Current Page (Step ${step})\n${filler}`,
+        responseText: `{"step":${step}}`,
+        plan: {
+            thinking: `Trying step ${step}`,
+            actions: [{ action: 'click', selector: `#btn-${step}` }],
+        },
+    });
+    history.recordResults([
+        error
+            ? { success: false, action: 'click', error }
+            : { success: true, action: 'click', result: {} },
+    ]);
+}
+
+describe('HistoryManager', () => {
+    it('starts with the task message and acknowledgement', () => {
+        const history = new HistoryManager({ tokenBudget: 1000, recentSteps: 2 });
+        history.setTask('## Task\nFind the thing');
+
+        const chat = history.buildChatHistory();
+        assert.equal(chat.length, 2);
+        assert.equal(chat[0].role, 'user');
+        assert.ok(chat[0].content.includes('Find the thing'));
+        assert.equal(chat[1].role, 'assistant');
+    });
+
+    it('stays untouched while under budget', () => {
+        const history = new HistoryManager({ tokenBudget: 10_000, recentSteps: 2 });
+        history.setTask('## Task\nFind the thing');
+        addStep(history, 1);
+        addStep(history, 2);
+        addStep(history, 3);
+
+        assert.equal(history.isOverBudget(), false);
+        assert.equal(history.buildChatHistory().length, 8);
+    });
+
+    it('folds older steps into a summary once over budget', () => {
+        const history = new HistoryManager({ tokenBudget: 400, recentSteps: 2 });
+        history.setTask('## Task\nFind the thing');
+        for (let step = 1; step <= 5; step++) {
+            addStep(history, step, {
+                filler: 'x'.repeat(400),
+                error: step === 2 ? 'Element not found' : undefined,
+            });
+        }
+
+        assert.equal(history.isOverBudget(), true);
+        history.compact();
+
+        assert.equal(history.isOverBudget(), false);
+        assert.deepEqual(history.steps.map((s) => s.step), [4, 5]);
+
+        const [taskMessage] = history.buildChatHistory();
+        assert.ok(taskMessage.content.startsWith('## Task\nFind the thing'));
+        assert.ok(taskMessage.content.includes('3 earlier steps, summarised'));
+        assert.ok(taskMessage.content.includes('https://site.test/1'));
+        assert.ok(taskMessage.content.includes('click #btn-2 ✗ Element not found'));
+        assert.ok(taskMessage.content.includes('click #btn-3 ✓'));
+    });
+
+    it('keeps at least one raw step even when that alone is over budget', () => {
+        const history = new HistoryManager({ tokenBudget: 100, recentSteps: 3 });
+        history.setTask('## Task\nFind the thing');
+        addStep(history, 1, { filler: 'x'.repeat(1000) });
+        addStep(history, 2, { filler: 'x'.repeat(1000) });
+
+        history.compact();
+        assert.deepEqual(history.steps.map((s) => s.step), [2]);
+    });
+
+    it('folds a step only once its results are in when no recent steps are kept', () => {
+        const history = new HistoryManager({ tokenBudget: 10_000, recentSteps: 0 });
+        history.setTask('## Task\nFind the thing');
+        for (let step = 1; step <= 2; step++) {
+            history.recordResults([{ success: true, action: 'click', result: {} }]);
+            history.recordStep({
+                step,
+                url: `https://site.test/${step}`,
+                userMessage: `## Current Page (Step ${step})`,
+                responseText: `{"step":${step}}`,
+                plan: { thinking: `Trying step ${step}`, actions: [{ action: 'click', selector: `#btn-${step}` }] },
+            });
+            // As the planner does: compacted after acting, before the results are recorded
+            history.compact();
+        }
+
+        assert.deepEqual(history.steps.map((s) => s.step), [2]);
+        const summary = history.buildSummary();
+        assert.ok(summary.includes('click #btn-1 ✓'));
+        assert.ok(!summary.includes('not run'));
+    });
+});
@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import OutputContract from '../src/agent/OutputContract.js';
+import AgentLoop from '../src/agent/AgentLoop.js';
+import { validateSessionOptions } from '../src/agent/sessionOptions.js';
+
+const PRICE_SCHEMA = {
+    type: 'object',
+    properties: {
+        plan: { type: 'string' },
+        priceUsd: { type: 'number' },
+        period: { enum: ['month', 'year'] },
+    },
+    required: ['plan', 'priceUsd'],
+};
+
+describe('OutputContract', () => {
+    it('accepts output matching the schema', () => {
+        const contract = new OutputContract(PRICE_SCHEMA);
+        assert.deepEqual(contract.check({ plan: 'Pro', priceUsd: 20, period: 'month' }), []);
+    });
+
+    it('reports missing output and schema mismatches with paths', () => {
+        const contract = new OutputContract(PRICE_SCHEMA);
+
+        assert.match(contract.check(null)[0], /output: missing/);
+        assert.deepEqual(contract.check({ plan: 'Pro', priceUsd: '$20', period: 'week' }), [
+            'output.priceUsd: must be number',
+            'output.period: must be equal to one of the allowed values (month, year)',
+        ]);
+    });
+
+    it('is rejected as a session option when the schema does not compile', () => {
+        const errors = validateSessionOptions({ outputSchema: { type: 'banana' } });
+        assert.equal(errors.length, 1);
+        assert.match(errors[0], /^outputSchema: not a valid JSON Schema/);
+        assert.deepEqual(validateSessionOptions({ outputSchema: PRICE_SCHEMA }), []);
+    });
+
+    it('compiles the same $id for any number of sessions', () => {
+        const schema = { ...PRICE_SCHEMA, $id: 'https://example.com/price.json' };
+        const first = new OutputContract(schema);
+        const second = new OutputContract(schema);
+
+        assert.deepEqual(second.check({ plan: 'Pro', priceUsd: 20 }), []);
+        assert.deepEqual(first.check({ plan: 'Pro' }), ["output: must have required property 'priceUsd'"]);
+        assert.deepEqual(validateSessionOptions({ outputSchema: schema }), []);
+        assert.deepEqual(validateSessionOptions({ outputSchema: schema }), []);
+    });
+});
+
+describe('AgentLoop output checks', () => {
+    it('sends errors back until the rejection cap, then finishes without output', () => {
+        const agent = new AgentLoop({ outputSchema: PRICE_SCHEMA });
+        agent.maxOutputRejections = 1;
+
+        assert.deepEqual(agent.checkOutput({ plan: 'Pro' }), [
+            "output: must have required property 'priceUsd'",
+        ]);
+        assert.equal(agent.checkOutput({ plan: 'Pro' }), null);
+        assert.deepEqual(agent.buildReport('done').outputValidation.attempts.map((a) => a.valid), [
+            false,
+            false,
+        ]);
+    });
+
+    it('skips checks when the session has no output schema', () => {
+        const agent = new AgentLoop();
+        assert.equal(agent.checkOutput(undefined), null);
+        assert.equal(agent.buildReport('done').outputValidation, null);
+    });
+});
@@ -0,0 +1,172 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import PageContextExtractor from '../src/context/PageContextExtractor.js';
+import ElementRegistry from '../src/context/ElementRegistry.js';
+import { annotateAriaSnapshot } from '../src/context/ariaSnapshot.js';
+
+// A JSHandle-like result of scanDocument: { elements, nodes }
+function scanResult(elements) {
+    const nodes = elements.map((el) => ({ asElement: () => ({ el, dispose: async () => { } }) }));
+    return {
+        evaluate: async (fn) => fn({ elements }),
+        getProperty: async () => ({
+            getProperties: async () => new Map(nodes.map((node, i) => [String(i), node])),
+            dispose: async () => { },
+        }),
+        dispose: async () => { },
+    };
+}
+
+function fakeFrame(elements, { children = [], element = null } = {}) {
+    return {
+        evaluateHandle: async () => scanResult(elements),
+        childFrames: () => children,
+        frameElement: async () => element,
+    };
+}
+
+function iframeElement(selector, box) {
+    return {
+        boundingBox: async () => box,
+        evaluate: async () => selector,
+        dispose: async () => { },
+    };
+}
+
+const button = (text, x = 10) => ({
+    tag: 'button',
+    text,
+    selector: `#${text}`,
+    bbox: { x, y: 5, width: 40, height: 20 },
+});
+
+describe('PageContextExtractor frames', () => {
+    it('collects elements from iframes with a frame path and page coordinates', async () => {
+        const nested = fakeFrame([button('Confirm')], {
+            element: iframeElement('iframe[name="3ds"]', { x: 150, y: 250, width: 200, height: 100 }),
+        });
+        const checkout = fakeFrame([button('Pay')], {
+            children: [nested],
+            element: iframeElement('iframe#checkout', { x: 100, y: 200, width: 300, height: 300 }),
+        });
+        const hidden = fakeFrame([button('Ad')], {
+            element: iframeElement('iframe#ad', { x: 0, y: 0, width: 0, height: 0 }),
+        });
+        const main = fakeFrame([button('Search')], { children: [checkout, hidden] });
+
+        const elements = new ElementRegistry();
+        const extractor = new PageContextExtractor({ mainFrame: () => main }, { elements });
+        const found = await extractor.extractInteractiveElements();
+
+        assert.deepEqual(found.map((el) => [el.text, el.frame]), [
+            ['Search', undefined],
+            ['Pay', ['iframe#checkout']],
+            ['Confirm', ['iframe#checkout', 'iframe[name="3ds"]']],
+        ]);
+        assert.deepEqual(found[1].bbox, { x: 110, y: 205, width: 40, height: 20 });
+        assert.equal(elements.handles.length, 3);
+        assert.equal(elements.handles[2].el.text, 'Confirm');
+        assert.deepEqual(elements.findBySelector(found[2].selector, found[2].frame), found[2]);
+    });
+
+    it('skips child frames that fail to scan', async () => {
+        const broken = {
+            evaluateHandle: async () => {
+                throw new Error('Frame was detached');
+            },
+            childFrames: () => [],
+            frameElement: async () => iframeElement('iframe#gone', { x: 0, y: 0, width: 10, height: 10 }),
+        };
+        const main = fakeFrame([button('Search')], { children: [broken] });
+
+        const extractor = new PageContextExtractor({ mainFrame: () => main });
+        const found = await extractor.extractInteractiveElements();
+        assert.deepEqual(found.map((el) => el.text), ['Search']);
+    });
+});
+
+const ARIA_SNAPSHOT = [
+    '- navigation "Main":',
+    '  - list:',
+    '    - listitem:',
+    '      - link "Home":',
+    '        - /url: /',
+    '    - listitem:',
+    '      - link "Home":',
+    '        - /url: /index',
+    '- main:',
+    '  - heading "Sign in" [level=1]',
+    '  - text: Welcome back',
+    '  - textbox "Email": ada@example.com',
+    '  - checkbox "Remember me" [checked]',
+    `  - 'button "Go: now" [disabled]'`,
+    '  - button',
+    '  - iframe:',
+    '    - button "Pay"',
+    '  - button "Help"',
+].join('\n');
+
+describe('PageContextExtractor aria mode', () => {
+    it('numbers interactive nodes and gives each a role selector', () => {
+        const { tree, elements } = annotateAriaSnapshot(ARIA_SNAPSHOT);
+
+        assert.deepEqual(
+            elements.map((el) => el.selector),
+            [
+                'role=link[name="Home"s] >> nth=0',
+                'role=link[name="Home"s] >> nth=1',
+                'role=textbox[name="Email"s]',
+                'role=checkbox[name="Remember me"s]',
+                'role=button[name="Go: now"s]',
+                'role=button >> nth=1',
+                'role=button[name="Help"s]',
+            ]
+        );
+        assert.deepEqual(elements[3], {
+            role: 'checkbox',
+            text: 'Remember me',
+            states: ['checked'],
+            selector: 'role=checkbox[name="Remember me"s]',
+        });
+        assert.deepEqual(elements[4].states, ['disabled']);
+
+        const lines = tree.split('\n');
+        assert.equal(lines[3], '      - [0] link "Home":');
+        assert.equal(lines[9], '  - heading "Sign in" [level=1]');
+        assert.equal(lines[11], '  - [2] textbox "Email": ada@example.com');
+        assert.equal(lines[13], "  - [4] 'button \"Go: now\" [disabled]'");
+        assert.equal(lines[16], '    - button "Pay"');
+        assert.equal(lines[17], '  - [6] button "Help"');
+    });
+
+    it('extracts the tree and registers a locator per numbered node', async () => {
+        const locators = [];
+        const page = {
+            url: () => 'https://example.com/login',
+            title: async () => 'Sign in',
+            locator: (selector) => {
+                const locator = {
+                    selector,
+                    ariaSnapshot: async () => ARIA_SNAPSHOT,
+                    count: async () => (selector.includes('Email') ? 1 : 0),
+                };
+                locators.push(locator);
+                return locator;
+            },
+        };
+        const elements = new ElementRegistry();
+        const extractor = new PageContextExtractor(page, { mode: 'aria', elements });
+        const context = await extractor.extract();
+
+        assert.equal(context.mode, 'aria');
+        assert.equal(context.screenshot, null);
+        assert.equal(context.interactiveElements.length, 7);
+        assert.ok(context.ariaTree.includes('- [6] button "Help"'));
+        assert.equal(locators[0].selector, 'body');
+
+        const email = await elements.resolve(2);
+        assert.equal(email.selector, 'role=textbox[name="Email"s]');
+        assert.deepEqual(elements.describe(2).text, 'Email');
+        await assert.rejects(() => elements.resolve(6), /is stale/);
+    });
+});
@@ -0,0 +1,126 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validatePlan } from '../src/planner/PlanValidator.js';
+import ActionPlanner from '../src/planner/ActionPlanner.js';
+
+const pageContext = {
+    url: 'https://test.com',
+    title: 'Test',
+    interactiveElements: [],
+    visibleText: '',
+};
+
+function scriptedProvider(replies) {
+    const sent = [];
+    return {
+        name: 'scripted',
+        sent,
+        startChat() { },
+        async send(message) {
+            sent.push(message);
+            return { text: replies.shift() };
+        },
+    };
+}
+
+describe('PlanValidator', () => {
+    it('accepts a well-formed plan', () => {
+        const errors = validatePlan({
+            thinking: 'Search for it',
+            actions: [
+                { action: 'type', selector: '#q', text: 'playwright' },
+                { action: 'keypress', key: 'Enter' },
+            ],
+            done: false,
+        });
+        assert.deepEqual(errors, []);
+    });
+
+    it('reports unknown actions with the supported list', () => {
+        const [error] = validatePlan({ actions: [{ action: 'clik', selector: '#a' }] });
+        assert.ok(error.startsWith('actions[0]: unknown action "clik"'));
+        assert.ok(error.includes('click'));
+    });
+
+    it('reports missing and mistyped parameters per action', () => {
+        const errors = validatePlan({
+            actions: [
+                { action: 'click' },
+                { action: 'scroll', direction: 'sideways' },
+                { action: 'type', selector: '#q', text: 42 },
+            ],
+        });
+
+        assert.deepEqual(errors, [
+            'actions[0] ("click"): must have one of the properties: element, selector',
+            'actions[1] ("scroll") direction: must be equal to one of the allowed values (up, down)',
+            'actions[2] ("type") text: must be string',
+        ]);
+    });
+
+    it('requires exactly one drag destination', () => {
+        assert.deepEqual(validatePlan({ actions: [{ action: 'drag', element: 1, to: { element: 2 } }] }), []);
+        assert.deepEqual(validatePlan({ actions: [{ action: 'drag', element: 1 }] }), [
+            'actions[0] ("drag"): must have one of the properties: to, offset',
+        ]);
+        assert.ok(
+            validatePlan({ actions: [{ action: 'drag', element: 1, to: { element: 2 }, offset: { x: 5, y: 0 } }] })
+                .length > 0
+        );
+    });
+
+    it('requires a selector for field extraction and pagination', () => {
+        const errors = validatePlan({
+            actions: [{ action: 'extract', element: 3, fields: { title: 'h2' }, limit: 20 }],
+        });
+        assert.deepEqual(errors, [
+            'actions[0] ("extract"): must have property selector when property fields is present',
+        ]);
+    });
+
+    it('rejects a malformed plan shape', () => {
+        const errors = validatePlan({ actions: 'click the button', done: 'yes' });
+        assert.equal(errors.length, 2);
+    });
+});
+
+describe('ActionPlanner repair round-trip', () => {
+    it('sends validation errors back and accepts the repaired plan', async () => {
+        const planner = new ActionPlanner();
+        planner.provider = scriptedProvider([
+            '{"actions":[{"action":"click"}],"done":false}',
+            '{"thinking":"fixed","actions":[{"action":"click","selector":"#go"}],"done":false}',
+        ]);
+
+        const plan = await planner.planNextActions(pageContext, 1, null);
+
+        assert.deepEqual(plan.actions, [{ action: 'click', selector: '#go' }]);
+        assert.equal(planner.provider.sent.length, 2);
+        assert.ok(planner.provider.sent[1].includes('## Invalid Response'));
+        assert.ok(planner.provider.sent[1].includes('must have one of the properties: element, selector'));
+    });
+
+    it('repairs invalid JSON too', async () => {
+        const planner = new ActionPlanner();
+        planner.provider = scriptedProvider(['{"actions": [', '{"actions":[],"done":true,"result":"ok"}']);
+
+        const plan = await planner.planNextActions(pageContext, 1, null);
+        assert.equal(plan.done, true);
+        assert.ok(planner.provider.sent[1].includes('Invalid JSON'));
+    });
+
+    it('gives up after the configured number of repairs', async () => {
+        const planner = new ActionPlanner();
+        planner.maxRepairAttempts = 1;
+        planner.provider = scriptedProvider([
+            '{"actions":[{"action":"dance"}]}',
+            '{"actions":[{"action":"dance"}]}',
+        ]);
+
+        await assert.rejects(
+            planner.planNextActions(pageContext, 1, null),
+            /Plan validation failed: actions\[0\]: unknown action "dance"/
+        );
+        assert.equal(planner.provider.sent.length, 2);
+    });
+});
@@ -0,0 +1,61 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import PlaybookStore, { matchesUrl, validatePlaybook } from '../src/playbooks/PlaybookStore.js';
+
+describe('matchesUrl', () => {
+    it('matches host patterns, including the bare domain for "*."', () => {
+        assert.ok(matchesUrl('*.amazon.com', 'https://www.amazon.com/s?k=lamp'));
+        assert.ok(matchesUrl('*.amazon.com', 'https://amazon.com/'));
+        assert.ok(!matchesUrl('*.amazon.com', 'https://notamazon.com/'));
+    });
+
+    it('matches path patterns against host + path + query', () => {
+        assert.ok(matchesUrl('https://github.com/login*', 'https://github.com/login?return_to=%2F'));
+        assert.ok(!matchesUrl('github.com/login*', 'https://github.com/settings'));
+    });
+});
+
+describe('PlaybookStore', () => {
+    let dir;
+    let store;
+
+    before(async () => {
+        dir = await mkdtemp(join(tmpdir(), 'yocrawl-playbooks-'));
+        store = new PlaybookStore({ directory: dir });
+    });
+
+    after(() => rm(dir, { recursive: true, force: true }));
+
+    it('creates, updates and matches playbooks', async () => {
+        await store.create({
+            id: 'amazon',
+            name: 'Amazon',
+            match: ['*.amazon.com'],
+            hints: 'Use the search box at the top.',
+        });
+        const updated = await store.update('amazon', { scope: 'system' });
+
+        assert.equal(updated.scope, 'system');
+        assert.equal((await store.get('amazon')).hints, 'Use the search box at the top.');
+        assert.deepEqual(
+            (await store.match('https://www.amazon.com/')).map((p) => p.id),
+            ['amazon']
+        );
+        assert.deepEqual(await store.match('https://example.com/'), []);
+    });
+
+    it('skips invalid files and rejects unsafe ids', async () => {
+        await writeFile(join(dir, 'broken.json'), '{ not json');
+        await writeFile(join(dir, 'mismatch.json'), JSON.stringify({
+            id: 'other', name: 'X', match: ['x.com'], hints: 'h',
+        }));
+
+        assert.deepEqual((await store.list()).map((p) => p.id), ['amazon']);
+        assert.equal(await store.get('../amazon'), null);
+        assert.ok(validatePlaybook({ id: '../etc', name: 'X', match: ['x.com'], hints: 'h' })
+            .some((e) => e.startsWith('id:')));
+    });
+});
@@ -0,0 +1,81 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import ActionExecutor from '../src/executor/ActionExecutor.js';
+import loadPlugins from '../src/executor/loadPlugins.js';
+import { validatePlan } from '../src/planner/PlanValidator.js';
+import { buildSystemPrompt } from '../src/planner/prompts.js';
+
+const PLUGIN = `
+export const name = 'dismiss_cookies';
+export const schema = { type: 'object', properties: { vendor: { type: 'string' } }, required: ['vendor'] };
+export const description = '{ "action": "dismiss_cookies", "vendor": "onetrust" }  (closes the cookie banner)';
+export default async function (page, params) {
+    return { dismissed: params.vendor, url: page.url() };
+}
+`;
+
+describe('Action plugins', () => {
+    let dir;
+
+    before(async () => {
+        dir = await mkdtemp(join(tmpdir(), 'yocrawl-plugins-'));
+        await writeFile(join(dir, 'cookies.js'), PLUGIN);
+        await writeFile(join(dir, 'broken.js'), "export const name = 'Broken Action';");
+        await writeFile(join(dir, 'README.md'), 'not a plugin');
+    });
+
+    after(async () => {
+        ActionExecutor.unregisterAction('dismiss_cookies');
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it('registers plugins from a directory and skips invalid ones', async () => {
+        assert.deepEqual(await loadPlugins(dir), ['dismiss_cookies']);
+        assert.deepEqual(await loadPlugins(join(dir, 'missing')), []);
+
+        assert.ok(ActionExecutor.listSupportedActions().includes('dismiss_cookies'));
+        const described = ActionExecutor.describeActions().find((a) => a.name === 'dismiss_cookies');
+        assert.equal(described.plugin, 'cookies.js');
+
+        const systemPrompt = buildSystemPrompt();
+        assert.ok(systemPrompt.includes('- "dismiss_cookies"'));
+        assert.ok(systemPrompt.includes('- { "action": "dismiss_cookies", "vendor": "onetrust" }'));
+    });
+
+    it('validates and executes plugin actions like built-ins', async () => {
+        const errors = validatePlan({ actions: [{ action: 'dismiss_cookies' }] });
+        assert.match(errors[0], /must have required property 'vendor'/);
+
+        const executor = new ActionExecutor({ url: () => 'https://shop.test/' });
+        const result = await executor.execute({ action: 'dismiss_cookies', vendor: 'onetrust' });
+        assert.deepEqual(result.result, { dismissed: 'onetrust', url: 'https://shop.test/' });
+    });
+
+    it('rejects invalid or duplicate registrations', () => {
+        const handler = async () => ({});
+        const schema = { type: 'object' };
+
+        assert.throws(
+            () => ActionExecutor.registerAction('click', { handler, schema, description: 'x' }),
+            /Invalid action "click": "click" is already registered/
+        );
+        assert.throws(
+            () => ActionExecutor.registerAction('scrape', { handler, schema: {}, description: '' }),
+            /schema must be a JSON Schema.*; description must be/
+        );
+        assert.throws(
+            () =>
+                ActionExecutor.registerAction('scrape', {
+                    handler,
+                    schema: { type: 'object', properties: { x: { type: 'strng' } } },
+                    description: '{ "action": "scrape" }',
+                }),
+            /Invalid action "scrape": schema does not compile: .*type must be equal to one of the allowed values/
+        );
+        assert.ok(!ActionExecutor.listSupportedActions().includes('scrape'));
+        assert.equal(ActionExecutor.unregisterAction('click'), false);
+    });
+});
@@ -1,6 +1,6 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { SYSTEM_PROMPT, formatPageContext } from '../src/planner/prompts.js';
+import { buildSystemPrompt, formatPageContext } from '../src/planner/prompts.js';
 
 describe('Prompts', () => {
     it('system prompt includes all action types', () => {
@@ -17,14 +17,23 @@ describe('Prompts', () => {
             'hover',
         ];
 
+        const systemPrompt = buildSystemPrompt();
         for (const action of requiredActions) {
             assert.ok(
-                SYSTEM_PROMPT.includes(`"${action}"`),
+                systemPrompt.includes(`"${action}"`),
                 `System prompt missing action: ${action}`
             );
         }
     });
 
+    it('leaves hidden actions out of the system prompt', () => {
+        assert.ok(buildSystemPrompt().includes('- "evaluate"'));
+
+        const systemPrompt = buildSystemPrompt({ hiddenActions: ['evaluate'] });
+        assert.ok(!systemPrompt.includes('"evaluate"'));
+        assert.ok(systemPrompt.includes('- "click"'));
+    });
+
     it('formats page context with URL and title', () => {
         const context = {
             url: 'https://test.com',
@@ -72,4 +81,134 @@ describe('Prompts', () => {
         assert.ok(formatted.includes('Submit'));
         assert.ok(formatted.includes('#submit-btn'));
     });
+
+    it('shows the accessibility tree instead of the element list in aria mode', () => {
+        const context = {
+            url: 'https://test.com',
+            title: 'Test',
+            mode: 'aria',
+            interactiveElements: [{ role: 'button', text: 'Go', selector: 'role=button[name="Go"s]' }],
+            ariaTree: '- main:\n  - heading "Search" [level=1]\n  - [0] button "Go"',
+            visibleText: '',
+        };
+
+        const formatted = formatPageContext(context, 1, null);
+        assert.ok(formatted.includes('### Accessibility Tree'));
+        assert.ok(formatted.includes('  - [0] button "Go"'));
+        assert.ok(!formatted.includes('### Interactive Elements'));
+        assert.ok(!formatted.includes('### Visible Text'));
+    });
+
+    it('cuts a long accessibility tree between lines and counts the hidden nodes', () => {
+        const lines = Array.from({ length: 600 }, (_, i) => `  - [${i}] link "Result number ${i}"`);
+        const formatted = formatPageContext(
+            { url: 'https://test.com', title: 'Test', mode: 'aria', interactiveElements: [], ariaTree: lines.join('\n') },
+            1,
+            null
+        );
+
+        const tree = formatted.split('### Accessibility Tree\n')[1].split('\n').slice(1);
+        const shown = tree.filter((line) => line.startsWith('  - ['));
+        assert.ok(shown.length > 0 && shown.length < 600);
+        assert.equal(shown.at(-1), lines[shown.length - 1]);
+        assert.ok(formatted.includes(`(tree truncated, ${600 - shown.length} more interactive nodes)`));
+    });
+
+    it('describes the set-of-marks screenshot and drops text in vision mode', () => {
+        const context = {
+            url: 'https://test.com',
+            title: 'Test',
+            mode: 'vision',
+            interactiveElements: [{ tag: 'button', text: 'Go', selector: '#go' }],
+            visibleText: '',
+            screenshot: { mimeType: 'image/jpeg', data: 'AAAA' },
+        };
+
+        const formatted = formatPageContext(context, 1, null);
+        assert.ok(formatted.includes('### Screenshot'));
+        assert.ok(formatted.includes('[0] <button>'));
+        assert.ok(!formatted.includes('Visible Text'));
+        assert.ok(!formatted.includes('AAAA'));
+    });
+
+    it('shows the sub-goal checklist with the current goal', () => {
+        const context = {
+            url: 'https://test.com',
+            title: 'Test',
+            interactiveElements: [],
+            visibleText: '',
+        };
+        const subgoals = [
+            { id: 1, description: 'Open docs', status: 'done' },
+            { id: 2, description: 'Find the API page', status: 'active' },
+        ];
+
+        const formatted = formatPageContext(context, 4, null, { subgoals });
+        assert.ok(formatted.includes('- [x] 1. Open docs'));
+        assert.ok(formatted.includes('**Current sub-goal:** 2. Find the API page'));
+    });
+
+    it('appends matching site playbooks after the page content', () => {
+        const context = {
+            url: 'https://shop.example.com',
+            title: 'Shop',
+            interactiveElements: [],
+            visibleText: 'Welcome',
+        };
+        const playbooks = [{ name: 'Example Shop', hints: 'Dismiss the cookie banner first.\n' }];
+
+        const formatted = formatPageContext(context, 1, null, { playbooks });
+        assert.ok(formatted.endsWith('### Site Playbook: Example Shop\nDismiss the cookie banner first.'));
+    });
+
+    it('puts output schema errors at the top of the next step', () => {
+        const context = {
+            url: 'https://test.com',
+            title: 'Test',
+            interactiveElements: [],
+            visibleText: '',
+        };
+
+        const formatted = formatPageContext(context, 3, null, {
+            outputErrors: ['output.priceUsd: must be number'],
+        });
+        assert.ok(formatted.startsWith('## Output Rejected'));
+        assert.ok(formatted.includes('- output.priceUsd: must be number'));
+    });
+
+    it('lists open tabs only when there is more than one', () => {
+        const context = {
+            url: 'https://b.test',
+            title: 'B',
+            tabs: [
+                { index: 0, url: 'https://a.test', title: 'A', active: false },
+                { index: 1, url: 'https://b.test', title: '', active: true },
+            ],
+            interactiveElements: [],
+            visibleText: '',
+        };
+
+        const formatted = formatPageContext(context, 2, null);
+        assert.ok(formatted.includes('### Open Tabs\n- [0] A — https://a.test\n- [1] (untitled) — https://b.test (active)'));
+        assert.ok(!formatPageContext({ ...context, tabs: context.tabs.slice(1) }, 2, null).includes('Open Tabs'));
+    });
+
+    it('shows an open dialog and dialogs handled since the last step', () => {
+        const context = {
+            url: 'https://test.com',
+            title: '',
+            pendingDialog: { type: 'confirm', message: 'Delete this item?' },
+            dialogs: [
+                { type: 'alert', message: 'Saved', handled: 'accepted' },
+                { type: 'confirm', message: 'Delete this item?', handled: 'pending' },
+            ],
+            interactiveElements: [],
+            visibleText: '',
+        };
+
+        const formatted = formatPageContext(context, 2, null);
+        assert.ok(formatted.includes('A confirm dialog is blocking the page: "Delete this item?"'));
+        assert.ok(formatted.includes('### Dialogs Since Last Step\n- alert "Saved" → accepted\n\n'));
+    });
 });
+
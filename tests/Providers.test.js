@@ -0,0 +1,148 @@
+import { describe, it, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProvider, listProviders, ProviderError } from '../src/planner/providers/index.js';
+
+function jsonResponse(body, init = {}) {
+    return new Response(JSON.stringify(body), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' },
+        ...init,
+    });
+}
+
+describe('LLM providers', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('lists the built-in providers', () => {
+        assert.deepEqual(listProviders(), ['gemini', 'openai']);
+    });
+
+    it('rejects unknown providers with a clear error', () => {
+        assert.throws(() => createProvider('clippy'), /Unknown LLM provider "clippy"/);
+    });
+
+    it('keeps chat history for the OpenAI-compatible adapter', async () => {
+        const fetchMock = mock.method(globalThis, 'fetch', async () =>
+            jsonResponse({ choices: [{ message: { content: '{"done":true}' } }] })
+        );
+
+        const provider = createProvider('openai', {
+            systemPrompt: 'be a browser',
+            baseUrl: 'http://localhost:11434/v1/',
+            model: 'llama3',
+        });
+        provider.startChat([{ role: 'user', content: 'task' }]);
+
+        const reply = await provider.send('step 1');
+        assert.equal(reply.text, '{"done":true}');
+
+        const [url, init] = fetchMock.mock.calls[0].arguments;
+        const body = JSON.parse(init.body);
+        assert.equal(url, 'http://localhost:11434/v1/chat/completions');
+        assert.equal(body.model, 'llama3');
+        assert.deepEqual(body.response_format, { type: 'json_object' });
+        assert.deepEqual(
+            body.messages.map((m) => m.role),
+            ['system', 'user', 'user']
+        );
+        assert.equal(provider.messages.length, 3);
+    });
+
+    it('sends images with the current turn only', async () => {
+        const fetchMock = mock.method(globalThis, 'fetch', async () =>
+            jsonResponse({ choices: [{ message: { content: '{}' } }] })
+        );
+
+        const provider = createProvider('openai');
+        await provider.send('look', { images: [{ mimeType: 'image/jpeg', data: 'AAAA' }] });
+
+        const body = JSON.parse(fetchMock.mock.calls[0].arguments[1].body);
+        const [, image] = body.messages.at(-1).content;
+        assert.equal(image.type, 'image_url');
+        assert.equal(image.image_url.url, 'data:image/jpeg;base64,AAAA');
+        assert.deepEqual(provider.messages[0], { role: 'user', content: 'look' });
+    });
+
+    it('keeps past screenshots out of the Gemini chat history', async () => {
+        const fetchMock = mock.method(globalThis, 'fetch', async () =>
+            jsonResponse({ candidates: [{ content: { role: 'model', parts: [{ text: '{}' }] } }] })
+        );
+
+        const provider = createProvider('gemini', { apiKey: 'test-key' });
+        await provider.send('look', { images: [{ mimeType: 'image/jpeg', data: 'AAAA' }] });
+        await provider.send('look again', { images: [{ mimeType: 'image/jpeg', data: 'BBBB' }] });
+
+        const first = JSON.parse(fetchMock.mock.calls[0].arguments[1].body);
+        assert.equal(first.contents[0].parts[1].inlineData.data, 'AAAA');
+
+        const second = JSON.parse(fetchMock.mock.calls[1].arguments[1].body);
+        const images = second.contents.flatMap((c) => c.parts).filter((part) => part.inlineData);
+        assert.deepEqual(images.map((part) => part.inlineData.data), ['BBBB']);
+        assert.deepEqual(second.contents.map((c) => c.role), ['user', 'model', 'user']);
+        assert.deepEqual(second.contents[0].parts, [{ text: 'look' }]);
+    });
+
+    it('strips markdown fences when JSON mode is off', async () => {
+        mock.method(globalThis, 'fetch', async () =>
+            jsonResponse({ choices: [{ message: { content: '```json\n{"a":1}\n```' } }] })
+        );
+
+        const provider = createProvider('openai', { jsonMode: false });
+        const reply = await provider.send('hi');
+        assert.equal(reply.text, '{"a":1}');
+    });
+
+    it('maps HTTP failures onto error categories', async () => {
+        mock.method(globalThis, 'fetch', async () =>
+            new Response('slow down', { status: 429, statusText: 'Too Many Requests' })
+        );
+
+        const provider = createProvider('openai');
+        await assert.rejects(provider.send('hi'), (error) => {
+            assert.ok(error instanceof ProviderError);
+            assert.equal(error.type, 'RATE_LIMIT');
+            assert.equal(error.status, 429);
+            return true;
+        });
+        // The failed turn must not be committed to history
+        assert.equal(provider.messages.length, 0);
+    });
+
+    it('maps a non-JSON response body to PARSE_ERROR', async () => {
+        mock.method(globalThis, 'fetch', async () => new Response('<html>Bad gateway</html>', { status: 200 }));
+
+        const provider = createProvider('openai');
+        await assert.rejects(provider.send('hi'), (error) => {
+            assert.ok(error instanceof ProviderError);
+            assert.equal(error.type, 'PARSE_ERROR');
+            assert.match(error.message, /not valid JSON/);
+            return true;
+        });
+        assert.equal(provider.messages.length, 0);
+    });
+
+    it('maps a blocked Gemini answer to PARSE_ERROR', async () => {
+        mock.method(globalThis, 'fetch', async () =>
+            jsonResponse({ candidates: [{ finishReason: 'SAFETY', content: { role: 'model', parts: [] } }] })
+        );
+        const provider = createProvider('gemini', { apiKey: 'test-key' });
+        await assert.rejects(provider.send('hi'), { name: 'ProviderError', type: 'PARSE_ERROR' });
+
+        mock.method(globalThis, 'fetch', async () => jsonResponse({ promptFeedback: { blockReason: 'SAFETY' } }));
+        await assert.rejects(provider.complete('hi'), (error) => {
+            assert.ok(error instanceof ProviderError);
+            assert.equal(error.type, 'PARSE_ERROR');
+            assert.match(error.message, /no usable answer/);
+            return true;
+        });
+    });
+
+    it('maps connection failures to NETWORK', async () => {
+        mock.method(globalThis, 'fetch', async () => {
+            throw new TypeError('fetch failed', { cause: { code: 'ECONNREFUSED' } });
+        });
+
+        const provider = createProvider('openai');
+        await assert.rejects(provider.send('hi'), { type: 'NETWORK' });
+    });
+});
@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSessionOptions, resolveSessionOptions } from '../src/agent/sessionOptions.js';
+import config from '../src/config.js';
+
+describe('sessionOptions', () => {
+    it('accepts an empty object and falls back to config', () => {
+        const settings = resolveSessionOptions({});
+
+        assert.equal(settings.provider, config.llm.provider);
+        assert.equal(settings.model, config[config.llm.provider].model);
+        assert.equal(settings.maxSteps, config.agent.maxSteps);
+        assert.deepEqual(settings.viewport, config.browser.viewport);
+        assert.equal(settings.maxTokens, null);
+    });
+
+    it('keeps explicit overrides, including falsy ones', () => {
+        const settings = resolveSessionOptions({
+            provider: 'openai',
+            temperature: 0,
+            stepDelayMs: 0,
+            headless: false,
+            viewport: { width: 800, height: 600 },
+        });
+
+        assert.equal(settings.model, config.openai.model);
+        assert.equal(settings.temperature, 0);
+        assert.equal(settings.stepDelayMs, 0);
+        assert.equal(settings.headless, false);
+        assert.deepEqual(settings.viewport, { width: 800, height: 600 });
+    });
+
+    it('reports unknown options and out-of-range values', () => {
+        const errors = validateSessionOptions({
+            maxStep: 5,
+            temperature: 3,
+            contextMode: 'audio',
+            viewport: { width: 800 },
+        });
+
+        assert.ok(errors.includes('options: unknown option "maxStep"'));
+        assert.ok(errors.includes('temperature: must be <= 2'));
+        assert.ok(errors.some((e) => e.startsWith('contextMode: must be equal to one of the allowed values')));
+        assert.ok(errors.includes("viewport: must have required property 'height'"));
+    });
+
+    it('throws from resolve when options are invalid', () => {
+        assert.throws(() => resolveSessionOptions({ maxSteps: 0 }), /Invalid session options: maxSteps/);
+    });
+
+    it('expands a single dialog policy to every dialog type', () => {
+        assert.deepEqual(resolveSessionOptions({ dialogPolicy: 'dismiss' }).dialogPolicy, {
+            alert: 'dismiss',
+            confirm: 'dismiss',
+            prompt: 'dismiss',
+            beforeunload: 'dismiss',
+        });
+        assert.equal(resolveSessionOptions({ dialogPolicy: { confirm: 'accept' } }).dialogPolicy.confirm, 'accept');
+        assert.ok(validateSessionOptions({ dialogPolicy: 'ignore' }).length > 0);
+    });
+
+    it('keeps page scripts off unless a session enables them', () => {
+        assert.equal(resolveSessionOptions({}).evaluatePolicy.enabled, false);
+
+        const enabled = resolveSessionOptions({ evaluatePolicy: true }).evaluatePolicy;
+        assert.equal(enabled.enabled, true);
+        assert.equal(typeof enabled.maxResultBytes, 'number');
+
+        const tuned = resolveSessionOptions({ evaluatePolicy: { enabled: true, maxResultBytes: 1024 } });
+        assert.equal(tuned.evaluatePolicy.maxResultBytes, 1024);
+        assert.ok(validateSessionOptions({ evaluatePolicy: { maxResultBytes: 10 } }).length > 0);
+    });
+
+    it('rejects a cost budget for a model without a known price', () => {
+        assert.deepEqual(validateSessionOptions({ provider: 'openai', model: 'gpt-4o', maxCostUsd: 0.5 }), []);
+        assert.deepEqual(validateSessionOptions({ provider: 'openai', model: 'llama3', maxCostUsd: 0.5 }), [
+            'maxCostUsd: no price is known for model "llama3" — add it to LLM_PRICES or use maxTokens',
+        ]);
+        assert.deepEqual(validateSessionOptions({ provider: 'openai', model: 'llama3', maxTokens: 5000 }), []);
+    });
+});
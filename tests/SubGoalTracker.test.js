@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import SubGoalTracker from '../src/agent/SubGoalTracker.js';
+
+describe('SubGoalTracker', () => {
+    it('activates the first sub-goal', () => {
+        const tracker = new SubGoalTracker(['Open docs', 'Find the API page']);
+        assert.equal(tracker.current().id, 1);
+        assert.deepEqual(tracker.toJSON().map((g) => g.status), ['active', 'pending']);
+    });
+
+    it('moves on when the model marks goals done or failed', () => {
+        const tracker = new SubGoalTracker(['Open docs', 'Find the API page', 'Copy the example']);
+
+        const changed = tracker.applyUpdates([{ id: 1, status: 'done' }], 3);
+        assert.deepEqual(changed.map((g) => g.id), [1]);
+        assert.equal(tracker.current().id, 2);
+        assert.equal(tracker.toJSON()[0].finishedAtStep, 3);
+
+        tracker.applyUpdates([{ id: 2, status: 'failed', note: 'No API page' }], 5);
+        assert.equal(tracker.current().id, 3);
+        assert.equal(tracker.toJSON()[1].note, 'No API page');
+        assert.equal(tracker.isComplete(), false);
+
+        tracker.applyUpdates([{ id: 3, status: 'done' }], 6);
+        assert.equal(tracker.current(), null);
+        assert.equal(tracker.isComplete(), true);
+    });
+
+    it('ignores unknown ids and already finished goals', () => {
+        const tracker = new SubGoalTracker(['Only goal']);
+        tracker.applyUpdates([{ id: 1, status: 'done' }]);
+
+        const changed = tracker.applyUpdates([
+            { id: 1, status: 'failed' },
+            { id: 42, status: 'done' },
+        ]);
+        assert.equal(changed.length, 0);
+        assert.equal(tracker.toJSON()[0].status, 'done');
+    });
+});
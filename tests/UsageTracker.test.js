@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import UsageTracker from '../src/planner/UsageTracker.js';
+
+describe('UsageTracker', () => {
+    it('prices models by longest matching prefix', () => {
+        const tracker = new UsageTracker({
+            model: 'gemini-2.0-flash-lite-001',
+            prices: {},
+        });
+        const call = tracker.record({ promptTokens: 1_000_000, completionTokens: 0 });
+        assert.equal(call.costUsd, 0.075);
+    });
+
+    it('accumulates usage across calls', () => {
+        const tracker = new UsageTracker({
+            model: 'my-model',
+            prices: { 'my-model': { input: 1, output: 2 } },
+        });
+        tracker.record({ promptTokens: 1000, completionTokens: 500 });
+        tracker.record({ promptTokens: 2000, completionTokens: 250 });
+
+        assert.deepEqual(tracker.totals(), {
+            promptTokens: 3000,
+            completionTokens: 750,
+            totalTokens: 3750,
+            costUsd: 0.0045,
+            calls: 2,
+        });
+    });
+
+    it('reports null cost for unpriced models', () => {
+        const tracker = new UsageTracker({ model: 'llama3:8b', prices: {} });
+        tracker.record({ promptTokens: 10, completionTokens: 10 });
+        assert.equal(tracker.totals().costUsd, null);
+        assert.equal(tracker.checkBudget({ maxCostUsd: 0.01 }), null);
+    });
+
+    it('flags token and cost ceilings', () => {
+        const tracker = new UsageTracker({
+            model: 'my-model',
+            prices: { 'my-model': { input: 10, output: 10 } },
+        });
+        tracker.record({ promptTokens: 900, completionTokens: 200 });
+
+        assert.equal(tracker.checkBudget({}), null);
+        assert.equal(tracker.checkBudget({ maxTokens: 2000 }), null);
+        assert.match(tracker.checkBudget({ maxTokens: 1000 }), /token budget exceeded \(1100 > 1000\)/);
+        assert.match(tracker.checkBudget({ maxCostUsd: 0.01 }), /cost budget exceeded/);
+    });
+});